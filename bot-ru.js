@@ -1,6 +1,7 @@
 require("dotenv").config();
 const TelegramBot = require("node-telegram-bot-api");
 const axios = require("axios");
+const crypto = require("crypto");
 
 // Конфигурация бота
 const token = process.env.TELEGRAM_BOT_TOKEN;
@@ -20,6 +21,9 @@ const AUTHORIZED_USERNAMES = process.env.AUTHORIZED_USERNAMES
     )
   : [];
 
+// Через сколько секунд удалять сообщения с паролями
+const PASSWORD_MESSAGE_TTL = parseInt(process.env.PASSWORD_MESSAGE_TTL) || 60;
+
 // Хранение состояний пользователей для многошаговых операций
 const userStates = new Map();
 
@@ -121,6 +125,45 @@ class MatrixClient {
       Authorization: `Bearer ${adminToken}`,
       "Content-Type": "application/json",
     };
+    // Кэш ID владельца токена (не меняется за время работы бота)
+    this.ownUserId = null;
+  }
+
+  async getOwnUserId() {
+    if (this.ownUserId) {
+      return this.ownUserId;
+    }
+
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/_matrix/client/v3/account/whoami`,
+        { headers: this.headers }
+      );
+      this.ownUserId = response.data.user_id;
+      this.ownDeviceId = response.data.device_id || null;
+      return this.ownUserId;
+    } catch (error) {
+      console.error(
+        "Ошибка получения владельца токена:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось определить владельца токена: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async getOwnDeviceId() {
+    await this.getOwnUserId();
+    return this.ownDeviceId;
+  }
+
+  async getServerName() {
+    const ownUserId = await this.getOwnUserId();
+    // Имя сервера может содержать порт, поэтому берем всё после первого ":"
+    return ownUserId.substring(ownUserId.indexOf(":") + 1);
   }
 
   async getUsers(from = 0, limit = 100) {
@@ -146,13 +189,27 @@ class MatrixClient {
     }
   }
 
-  async deactivateUser(userId) {
+  // Получает всех пользователей сервера, проходя по страницам next_token
+  async getAllUsers() {
+    const users = [];
+    let from = 0;
+    for (;;) {
+      const data = await this.getUsers(from, 500);
+      users.push(...(data.users || []));
+      if (!data.next_token) {
+        return users;
+      }
+      from = data.next_token;
+    }
+  }
+
+  async deactivateUser(userId, erase = false) {
     try {
       const response = await axios.post(
         `${this.baseUrl}/_synapse/admin/v1/deactivate/${encodeURIComponent(
           userId
         )}`,
-        { erase: false },
+        { erase },
         { headers: this.headers }
       );
       return response.data;
@@ -169,631 +226,6223 @@ class MatrixClient {
     }
   }
 
-  async searchUsers(searchTerm, from = 0, limit = 100) {
+  async setUserAdmin(userId, admin) {
     try {
-      // Сначала получаем всех пользователей (Matrix не имеет встроенного поиска)
-      const response = await axios.get(
-        `${this.baseUrl}/_synapse/admin/v2/users`,
-        {
-          headers: this.headers,
-          params: { from: 0, limit: 1000 }, // Получаем больше пользователей для поиска
-        }
+      const response = await axios.put(
+        `${this.baseUrl}/_synapse/admin/v1/users/${encodeURIComponent(
+          userId
+        )}/admin`,
+        { admin },
+        { headers: this.headers }
       );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка изменения прав администратора:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось изменить права администратора: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
 
-      const allUsers = response.data.users || [];
-      const searchLower = searchTerm.toLowerCase();
-
-      // Фильтруем пользователей на основе поискового запроса
-      const filteredUsers = allUsers.filter((user) => {
-        return (
-          user.name.toLowerCase().includes(searchLower) ||
-          (user.displayname &&
-            user.displayname.toLowerCase().includes(searchLower)) ||
-          user.name === searchTerm // Точное совпадение для ID пользователей
-        );
+  async setShadowBan(userId, banned) {
+    try {
+      const response = await axios({
+        method: banned ? "post" : "delete",
+        url: `${this.baseUrl}/_synapse/admin/v1/users/${encodeURIComponent(
+          userId
+        )}/shadow_ban`,
+        headers: this.headers,
       });
-
-      // Применяем пагинацию к отфильтрованным результатам
-      const startIndex = from;
-      const endIndex = Math.min(startIndex + limit, filteredUsers.length);
-      const paginatedUsers = filteredUsers.slice(startIndex, endIndex);
-
-      return {
-        users: paginatedUsers,
-        total: filteredUsers.length,
-        from: from,
-        limit: limit,
-      };
+      return response.data;
     } catch (error) {
       console.error(
-        "Ошибка поиска пользователей:",
+        "Ошибка изменения теневого бана:",
         error.response?.data || error.message
       );
       throw new Error(
-        `Не удалось найти пользователей: ${
+        `Не удалось изменить теневой бан: ${
           error.response?.data?.error || error.message
         }`
       );
     }
   }
 
-  async getUserInfo(userId) {
+  async getRatelimit(userId) {
     try {
       const response = await axios.get(
-        `${this.baseUrl}/_synapse/admin/v2/users/${encodeURIComponent(userId)}`,
+        `${this.baseUrl}/_synapse/admin/v1/users/${encodeURIComponent(
+          userId
+        )}/override_ratelimit`,
         { headers: this.headers }
       );
+      // Пустой объект означает, что переопределения нет
       return response.data;
     } catch (error) {
       console.error(
-        "Ошибка получения информации о пользователе:",
+        "Ошибка получения ограничения частоты:",
         error.response?.data || error.message
       );
       throw new Error(
-        `Не удалось получить информацию о пользователе: ${
+        `Не удалось получить ограничение частоты: ${
           error.response?.data?.error || error.message
         }`
       );
     }
   }
-}
-
-const matrixClient = new MatrixClient(MATRIX_URL, MATRIX_ADMIN_TOKEN);
-
-// Вспомогательные функции
-function createMainKeyboard() {
-  return {
-    reply_markup: {
-      inline_keyboard: [
-        [{ text: "👥 Все пользователи", callback_data: "get_users" }],
-        [{ text: "🔍 Поиск пользователей", callback_data: "search_users" }],
-        [
-          {
-            text: "❌ Деактивировать пользователя",
-            callback_data: "deactivate_menu",
-          },
-        ],
-        [{ text: "🔒 Моя информация", callback_data: "show_my_info" }],
-      ],
-    },
-  };
-}
-
-function createUserSelectionKeyboard(
-  users,
-  page = 0,
-  usersPerPage = 10,
-  actionPrefix = "deactivate"
-) {
-  const startIndex = page * usersPerPage;
-  const endIndex = Math.min(startIndex + usersPerPage, users.length);
-  const pageUsers = users.slice(startIndex, endIndex);
 
-  const keyboard = [];
+  async setRatelimit(userId, messagesPerSecond, burstCount) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/_synapse/admin/v1/users/${encodeURIComponent(
+          userId
+        )}/override_ratelimit`,
+        { messages_per_second: messagesPerSecond, burst_count: burstCount },
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка установки ограничения частоты:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось установить ограничение частоты: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
 
-  // Добавляем кнопки пользователей
-  pageUsers.forEach((user) => {
-    const status = user.deactivated ? "❌" : "✅";
-    const userType = user.admin
-      ? " 👑"
-      : user.user_type
-      ? ` (${user.user_type})`
-      : "";
-    keyboard.push([
-      {
-        text: `${status} ${user.displayname || user.name}${userType}`,
-        callback_data: `${actionPrefix}_${user.name}`,
-      },
-    ]);
-  });
+  async deleteRatelimit(userId) {
+    try {
+      const response = await axios.delete(
+        `${this.baseUrl}/_synapse/admin/v1/users/${encodeURIComponent(
+          userId
+        )}/override_ratelimit`,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка удаления ограничения частоты:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось удалить ограничение частоты: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
 
-  // Добавляем кнопки навигации
-  const navRow = [];
-  if (page > 0) {
-    navRow.push({
-      text: "◀️ Назад",
-      callback_data: `${actionPrefix}_page_${page - 1}`,
-    });
+  async getUserDevices(userId) {
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/_synapse/admin/v2/users/${encodeURIComponent(
+          userId
+        )}/devices`,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка получения устройств:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось получить устройства: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
   }
-  if (endIndex < users.length) {
-    navRow.push({
-      text: "Далее ▶️",
-      callback_data: `${actionPrefix}_page_${page + 1}`,
-    });
+
+  async deleteDevice(userId, deviceId) {
+    try {
+      const response = await axios.delete(
+        `${this.baseUrl}/_synapse/admin/v2/users/${encodeURIComponent(
+          userId
+        )}/devices/${encodeURIComponent(deviceId)}`,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка удаления устройства:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось удалить устройство: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
   }
-  if (navRow.length > 0) {
-    keyboard.push(navRow);
+
+  async deleteDevices(userId, deviceIds) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/_synapse/admin/v2/users/${encodeURIComponent(
+          userId
+        )}/delete_devices`,
+        { devices: deviceIds },
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка удаления устройств:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось удалить устройства: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
   }
 
-  // Добавляем кнопку возврата
-  keyboard.push([{ text: "🔙 В главное меню", callback_data: "back_to_menu" }]);
+  async getWhois(userId) {
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/_synapse/admin/v1/whois/${encodeURIComponent(userId)}`,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка получения истории подключений:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось получить историю подключений: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
 
-  return { reply_markup: { inline_keyboard: keyboard } };
-}
+  async getUserJoinedRooms(userId) {
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/_synapse/admin/v1/users/${encodeURIComponent(
+          userId
+        )}/joined_rooms`,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка получения комнат пользователя:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось получить комнаты пользователя: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
 
-function createSearchResultKeyboard(
-  users,
-  searchTerm,
-  page = 0,
-  usersPerPage = 10
-) {
-  const startIndex = page * usersPerPage;
-  const endIndex = Math.min(startIndex + usersPerPage, users.length);
-  const pageUsers = users.slice(startIndex, endIndex);
+  async getUserMedia(userId, from = 0, limit = 100) {
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/_synapse/admin/v1/users/${encodeURIComponent(
+          userId
+        )}/media`,
+        {
+          headers: this.headers,
+          params: { from, limit, order_by: "created_ts", dir: "b" },
+        }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка получения медиафайлов:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось получить медиафайлы: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
 
-  const keyboard = [];
+  // Получает все медиафайлы пользователя, проходя по страницам next_token
+  async getAllUserMedia(userId) {
+    const media = [];
+    let from = 0;
+    for (;;) {
+      const data = await this.getUserMedia(userId, from, 500);
+      media.push(...(data.media || []));
+      if (!data.next_token) {
+        return media;
+      }
+      from = data.next_token;
+    }
+  }
 
-  // Добавляем кнопки пользователей с информацией и опциями деактивации
-  pageUsers.forEach((user) => {
-    const status = user.deactivated ? "❌" : "✅";
-    const userType = user.admin
-      ? " 👑"
-      : user.user_type
-      ? ` (${user.user_type})`
-      : "";
+  async deleteUserMedia(userId, limit = 500) {
+    try {
+      const response = await axios.delete(
+        `${this.baseUrl}/_synapse/admin/v1/users/${encodeURIComponent(
+          userId
+        )}/media`,
+        { headers: this.headers, params: { limit } }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка удаления медиафайлов:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось удалить медиафайлы: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
 
-    let actionButton;
-    if (user.deactivated) {
-      actionButton = { text: "❌ Деактивирован", callback_data: "noop" };
-    } else if (user.admin) {
-      actionButton = { text: "👑 Админ защищен", callback_data: "noop" };
-    } else {
-      actionButton = {
-        text: "🗑️ Деактивировать",
-        callback_data: `deactivate_${user.name}`,
-      };
+  async findUserByThreepid(medium, address) {
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/_synapse/admin/v1/threepid/${encodeURIComponent(
+          medium
+        )}/users/${encodeURIComponent(address)}`,
+        { headers: this.headers }
+      );
+      return response.data.user_id;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error(
+        "Ошибка поиска по контакту:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось найти пользователя по контакту: ${
+          error.response?.data?.error || error.message
+        }`
+      );
     }
-    keyboard.push([
-      {
-        text: `${status} ${user.displayname} ${user.name}${userType}`,
-        callback_data: `userinfo_${user.name}`,
-      },
-      actionButton,
-    ]);
-  });
+  }
 
-  // Добавляем кнопки навигации
-  const navRow = [];
-  if (page > 0) {
-    navRow.push({ text: "◀️ Назад", callback_data: `search_page_${page - 1}` });
+  async findUserByExternalId(authProvider, externalId) {
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/_synapse/admin/v1/auth_providers/${encodeURIComponent(
+          authProvider
+        )}/users/${encodeURIComponent(externalId)}`,
+        { headers: this.headers }
+      );
+      return response.data.user_id;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error(
+        "Ошибка поиска по внешнему ID:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось найти пользователя по внешнему ID: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
   }
-  if (endIndex < users.length) {
-    navRow.push({ text: "Далее ▶️", callback_data: `search_page_${page + 1}` });
+
+  async setUserSuspended(userId, suspend) {
+    try {
+      const response = await axios.put(
+        `${this.baseUrl}/_synapse/admin/v1/suspend/${encodeURIComponent(
+          userId
+        )}`,
+        { suspend },
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка изменения приостановки:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось изменить приостановку: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
   }
-  if (navRow.length > 0) {
-    keyboard.push(navRow);
+
+  async redactUserEvents(userId, rooms = []) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/_synapse/admin/v1/user/${encodeURIComponent(
+          userId
+        )}/redact`,
+        { rooms },
+        { headers: this.headers }
+      );
+      return response.data.redact_id;
+    } catch (error) {
+      console.error(
+        "Ошибка запуска удаления сообщений:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось запустить удаление сообщений: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
   }
 
-  // Добавляем кнопки нового поиска и возврата
-  keyboard.push([
-    { text: "🔍 Новый поиск", callback_data: "search_users" },
-    { text: "🔙 В главное меню", callback_data: "back_to_menu" },
-  ]);
+  async getRedactStatus(redactId) {
+    try {
+      const response = await axios.get(
+        `${
+          this.baseUrl
+        }/_synapse/admin/v1/user/redact_status/${encodeURIComponent(redactId)}`,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка получения статуса удаления сообщений:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось получить статус удаления сообщений: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
 
-  return { reply_markup: { inline_keyboard: keyboard } };
-}
+  async resetPassword(userId, newPassword, logoutDevices = true) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/_synapse/admin/v1/reset_password/${encodeURIComponent(
+          userId
+        )}`,
+        { new_password: newPassword, logout_devices: logoutDevices },
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка сброса пароля:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось сбросить пароль: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
 
-// Обработчики команд с авторизацией
-bot.onText(
-  /\/start/,
-  requireAuth((msg) => {
-    const chatId = msg.chat.id;
-    const user = msg.from;
-    const userInfo = `${user.first_name || ""} ${user.last_name || ""}`.trim();
+  async searchUsers(searchTerm, from = 0, limit = 100) {
+    try {
+      // Сначала получаем всех пользователей (Matrix не имеет встроенного поиска)
+      const response = await axios.get(
+        `${this.baseUrl}/_synapse/admin/v2/users`,
+        {
+          headers: this.headers,
+          params: { from: 0, limit: 1000 }, // Получаем больше пользователей для поиска
+        }
+      );
 
-    const welcomeMessage = `
-🤖 *Бот администрирования Matrix Synapse*
+      const allUsers = response.data.users || [];
+      const searchLower = searchTerm.toLowerCase();
 
-Добро пожаловать, ${userInfo}!
+      // Фильтруем пользователей на основе поискового запроса
+      const filteredUsers = allUsers.filter((user) => {
+        return (
+          user.name.toLowerCase().includes(searchLower) ||
+          (user.displayname &&
+            user.displayname.toLowerCase().includes(searchLower)) ||
+          user.name === searchTerm // Точное совпадение для ID пользователей
+        );
+      });
 
-Этот бот поможет вам управлять сервером Matrix Synapse.
+      // Применяем пагинацию к отфильтрованным результатам
+      const startIndex = from;
+      const endIndex = Math.min(startIndex + limit, filteredUsers.length);
+      const paginatedUsers = filteredUsers.slice(startIndex, endIndex);
 
-Доступные действия:
-• Просмотр всех пользователей сервера
-• Поиск конкретных пользователей
-• Деактивация выбранных пользователей
-• Просмотр информации о вашей авторизации
+      return {
+        users: paginatedUsers,
+        total: filteredUsers.length,
+        from: from,
+        limit: limit,
+      };
+    } catch (error) {
+      console.error(
+        "Ошибка поиска пользователей:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось найти пользователей: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
 
-Выберите действие из меню ниже:
-    `;
+  async getUserInfo(userId) {
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/_synapse/admin/v2/users/${encodeURIComponent(userId)}`,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка получения информации о пользователе:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось получить информацию о пользователе: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
 
-    bot.sendMessage(chatId, welcomeMessage, {
-      parse_mode: "Markdown",
-      ...createMainKeyboard(),
+  async userExists(userId) {
+    try {
+      await axios.get(
+        `${this.baseUrl}/_synapse/admin/v2/users/${encodeURIComponent(userId)}`,
+        { headers: this.headers }
+      );
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return false;
+      }
+      console.error(
+        "Ошибка проверки существования пользователя:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось проверить пользователя: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async createOrUpdateUser(userId, userData) {
+    try {
+      const response = await axios.put(
+        `${this.baseUrl}/_synapse/admin/v2/users/${encodeURIComponent(userId)}`,
+        userData,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка сохранения пользователя:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось сохранить пользователя: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async getRegistrationTokens() {
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/_synapse/admin/v1/registration_tokens`,
+        { headers: this.headers }
+      );
+      return response.data.registration_tokens || [];
+    } catch (error) {
+      console.error(
+        "Ошибка получения токенов регистрации:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось получить токены регистрации: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async getRegistrationToken(token) {
+    try {
+      const response = await axios.get(
+        `${
+          this.baseUrl
+        }/_synapse/admin/v1/registration_tokens/${encodeURIComponent(token)}`,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка получения токена регистрации:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось получить токен регистрации: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async createRegistrationToken(tokenData) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/_synapse/admin/v1/registration_tokens/new`,
+        tokenData,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка создания токена регистрации:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось создать токен регистрации: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async updateRegistrationToken(token, tokenData) {
+    try {
+      const response = await axios.put(
+        `${
+          this.baseUrl
+        }/_synapse/admin/v1/registration_tokens/${encodeURIComponent(token)}`,
+        tokenData,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка изменения токена регистрации:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось изменить токен регистрации: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async deleteRegistrationToken(token) {
+    try {
+      const response = await axios.delete(
+        `${
+          this.baseUrl
+        }/_synapse/admin/v1/registration_tokens/${encodeURIComponent(token)}`,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка удаления токена регистрации:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось удалить токен регистрации: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async uploadMedia(data, contentType, fileName) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/_matrix/media/v3/upload`,
+        data,
+        {
+          headers: {
+            Authorization: `Bearer ${this.adminToken}`,
+            "Content-Type": contentType,
+          },
+          params: { filename: fileName },
+          maxBodyLength: Infinity,
+        }
+      );
+      return response.data.content_uri;
+    } catch (error) {
+      console.error(
+        "Ошибка загрузки медиафайла:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось загрузить медиафайл: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async getRoomDetails(roomId) {
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/_synapse/admin/v1/rooms/${encodeURIComponent(roomId)}`,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка получения информации о комнате:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось получить информацию о комнате: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async deleteRoom(roomId, options = {}) {
+    try {
+      const response = await axios.delete(
+        `${this.baseUrl}/_synapse/admin/v2/rooms/${encodeURIComponent(roomId)}`,
+        { headers: this.headers, data: options }
+      );
+      return response.data.delete_id;
+    } catch (error) {
+      console.error(
+        "Ошибка удаления комнаты:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось удалить комнату: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async getRoomDeleteStatus(deleteId) {
+    try {
+      const response = await axios.get(
+        `${
+          this.baseUrl
+        }/_synapse/admin/v2/rooms/delete_status/${encodeURIComponent(
+          deleteId
+        )}`,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка получения статуса удаления комнаты:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось получить статус удаления комнаты: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async getRoomBlockStatus(roomId) {
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/_synapse/admin/v1/rooms/${encodeURIComponent(
+          roomId
+        )}/block`,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка получения статуса блокировки комнаты:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось получить статус блокировки комнаты: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async setRoomBlock(roomId, block) {
+    try {
+      const response = await axios.put(
+        `${this.baseUrl}/_synapse/admin/v1/rooms/${encodeURIComponent(
+          roomId
+        )}/block`,
+        { block },
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка изменения блокировки комнаты:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось ${block ? "заблокировать" : "разблокировать"} комнату: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async makeRoomAdmin(roomId, userId) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/_synapse/admin/v1/rooms/${encodeURIComponent(
+          roomId
+        )}/make_room_admin`,
+        { user_id: userId },
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка назначения администратора комнаты:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось назначить администратора комнаты: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async joinUserToRoom(roomId, userId) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/_synapse/admin/v1/join/${encodeURIComponent(roomId)}`,
+        { user_id: userId },
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка добавления пользователя в комнату:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось добавить пользователя в комнату: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async getRoomMembers(roomId) {
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/_synapse/admin/v1/rooms/${encodeURIComponent(
+          roomId
+        )}/members`,
+        { headers: this.headers }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка получения участников комнаты:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось получить участников комнаты: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async getRooms({ from = 0, limit = 10, orderBy, searchTerm } = {}) {
+    try {
+      const params = { from, limit };
+      // Для сортировок по размеру направление по умолчанию (dir=f) у Synapse
+      // уже дает самые большие комнаты первыми
+      if (orderBy) {
+        params.order_by = orderBy;
+      }
+      if (searchTerm) {
+        params.search_term = searchTerm;
+      }
+
+      const response = await axios.get(
+        `${this.baseUrl}/_synapse/admin/v1/rooms`,
+        { headers: this.headers, params }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Ошибка получения списка комнат:",
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `Не удалось получить список комнат: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async getAllRooms() {
+    const rooms = [];
+    let from = 0;
+    for (;;) {
+      const data = await this.getRooms({ from, limit: 500 });
+      rooms.push(...(data.rooms || []));
+      if (data.next_batch === undefined || data.next_batch === null) {
+        return rooms;
+      }
+      from = data.next_batch;
+    }
+  }
+}
+
+const matrixClient = new MatrixClient(MATRIX_URL, MATRIX_ADMIN_TOKEN);
+
+// Вспомогательные функции
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`\[])/g, "\\$1");
+}
+
+function generatePassword(length = 20) {
+  // Без похожих символов (0/O, 1/l/I), чтобы пароль было легко продиктовать
+  const alphanumeric =
+    "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789";
+  const alphabet = alphanumeric + "!@#$%^&*-_=+";
+  // Первый символ — буква или цифра: пароль попадает в файл результатов
+  // импорта без экранирования, и таблица не должна счесть его формулой
+  let password = alphanumeric[crypto.randomInt(alphanumeric.length)];
+  for (let i = 1; i < length; i++) {
+    password += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return password;
+}
+
+// Редактирует сообщение, если известен его ID, иначе отправляет новое
+function sendOrEdit(chatId, messageId, text, options = {}) {
+  if (messageId) {
+    return bot.editMessageText(text, {
+      chat_id: chatId,
+      message_id: messageId,
+      ...options,
+    });
+  }
+  return bot.sendMessage(chatId, text, options);
+}
+
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+
+// Добавляет к заголовку строки списка целиком, пока сообщение укладывается в
+// лимит Telegram, и дописывает, сколько строк не поместилось. Обрезать текст
+// посередине нельзя: разрыв Markdown-разметки Telegram отклоняет целиком.
+function joinLinesWithinLimit(
+  header,
+  lines,
+  { footer = "", maxLines = Infinity, limit = TELEGRAM_MESSAGE_LIMIT } = {}
+) {
+  let text = header;
+  for (let i = 0; i < lines.length; i++) {
+    const isLast = i === lines.length - 1;
+    const reserve = isLast ? 0 : `…и еще ${lines.length}\n`.length;
+    if (
+      i >= maxLines ||
+      text.length + lines[i].length + reserve + footer.length > limit
+    ) {
+      text += `…и еще ${lines.length - i}\n`;
+      break;
+    }
+    text += lines[i];
+  }
+  return text + footer;
+}
+
+function logAdminAction(user, action, target) {
+  const userInfo = `${user.first_name || ""} ${user.last_name || ""}`.trim();
+  const username = user.username
+    ? `@${user.username}`
+    : "нет имени пользователя";
+  console.log(`🛠 ${action}:`);
+  console.log(`   Администратор: ${userInfo} (${username})`);
+  console.log(`   ID администратора: ${user.id}`);
+  console.log(`   Цель: ${target}`);
+  console.log(`   Время: ${new Date().toISOString()}`);
+}
+
+// Ограничения учетной записи, которые отображаются значками в списках
+const USER_RESTRICTIONS = [
+  { field: "locked", icon: "🔒", label: "Заблокирован" },
+  { field: "suspended", icon: "⏸", label: "Приостановлен" },
+  { field: "shadow_banned", icon: "👻", label: "Теневой бан" },
+];
+
+// Значок состояния учетной записи для списков и клавиатур
+function getUserStatusIcon(user) {
+  if (user.deactivated) {
+    return "❌";
+  }
+  const icons = USER_RESTRICTIONS.filter((r) => user[r.field]).map(
+    (r) => r.icon
+  );
+  return icons.length > 0 ? icons.join("") : "✅";
+}
+
+function getUserStatusLabel(user) {
+  if (user.deactivated) {
+    return "❌ Деактивирован";
+  }
+  const labels = USER_RESTRICTIONS.filter((r) => user[r.field]).map(
+    (r) => `${r.icon} ${r.label}`
+  );
+  return labels.length > 0 ? labels.join(", ") : "✅ Активен";
+}
+
+function createMainKeyboard() {
+  return {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: "👥 Все пользователи", callback_data: "get_users" }],
+        [{ text: "🔍 Поиск пользователей", callback_data: "search_users" }],
+        [{ text: "➕ Создать пользователя", callback_data: "create_user" }],
+        [
+          {
+            text: "❌ Деактивировать пользователя",
+            callback_data: "deactivate_menu",
+          },
+        ],
+        [{ text: "🏠 Комнаты", callback_data: "rooms" }],
+        [{ text: "🎟 Токены регистрации", callback_data: "regtokens" }],
+        [{ text: "🔒 Моя информация", callback_data: "show_my_info" }],
+      ],
+    },
+  };
+}
+
+function createUserSelectionKeyboard(
+  users,
+  page = 0,
+  usersPerPage = 10,
+  actionPrefix = "deactivate"
+) {
+  const startIndex = page * usersPerPage;
+  const endIndex = Math.min(startIndex + usersPerPage, users.length);
+  const pageUsers = users.slice(startIndex, endIndex);
+
+  const keyboard = [];
+
+  // Добавляем кнопки пользователей
+  pageUsers.forEach((user) => {
+    const status = getUserStatusIcon(user);
+    const userType = user.admin
+      ? " 👑"
+      : user.user_type
+      ? ` (${user.user_type})`
+      : "";
+    keyboard.push([
+      {
+        text: `${status} ${user.displayname || user.name}${userType}`,
+        callback_data: `${actionPrefix}_${user.name}`,
+      },
+    ]);
+  });
+
+  // Добавляем кнопки навигации
+  const navRow = [];
+  if (page > 0) {
+    navRow.push({
+      text: "◀️ Назад",
+      callback_data: `${actionPrefix}_page_${page - 1}`,
+    });
+  }
+  if (endIndex < users.length) {
+    navRow.push({
+      text: "Далее ▶️",
+      callback_data: `${actionPrefix}_page_${page + 1}`,
+    });
+  }
+  if (navRow.length > 0) {
+    keyboard.push(navRow);
+  }
+
+  // Добавляем кнопку возврата
+  keyboard.push([{ text: "🔙 В главное меню", callback_data: "back_to_menu" }]);
+
+  return { reply_markup: { inline_keyboard: keyboard } };
+}
+
+function createSearchResultKeyboard(
+  users,
+  searchTerm,
+  page = 0,
+  usersPerPage = 10
+) {
+  const startIndex = page * usersPerPage;
+  const endIndex = Math.min(startIndex + usersPerPage, users.length);
+  const pageUsers = users.slice(startIndex, endIndex);
+
+  const keyboard = [];
+
+  // Добавляем кнопки пользователей с информацией и опциями деактивации
+  pageUsers.forEach((user) => {
+    const status = getUserStatusIcon(user);
+    const userType = user.admin
+      ? " 👑"
+      : user.user_type
+      ? ` (${user.user_type})`
+      : "";
+
+    let actionButton;
+    if (user.deactivated) {
+      actionButton = { text: "❌ Деактивирован", callback_data: "noop" };
+    } else if (user.admin) {
+      actionButton = { text: "👑 Админ защищен", callback_data: "noop" };
+    } else {
+      actionButton = {
+        text: "🗑️ Деактивировать",
+        callback_data: `deactivate_${user.name}`,
+      };
+    }
+    const row = [
+      {
+        text: `${status} ${user.displayname} ${user.name}${userType}`,
+        callback_data: `userinfo_${user.name}`,
+      },
+      actionButton,
+    ];
+    if (!user.deactivated && !user.admin) {
+      row.push(
+        user.shadow_banned
+          ? { text: "👁", callback_data: `search_unshadowban_${user.name}` }
+          : { text: "👻", callback_data: `search_shadowban_${user.name}` }
+      );
+    }
+    keyboard.push(row);
+  });
+
+  // Добавляем кнопки навигации
+  const navRow = [];
+  if (page > 0) {
+    navRow.push({ text: "◀️ Назад", callback_data: `search_page_${page - 1}` });
+  }
+  if (endIndex < users.length) {
+    navRow.push({ text: "Далее ▶️", callback_data: `search_page_${page + 1}` });
+  }
+  if (navRow.length > 0) {
+    keyboard.push(navRow);
+  }
+
+  // Добавляем кнопки нового поиска и возврата
+  keyboard.push([
+    { text: "🔍 Новый поиск", callback_data: "search_users" },
+    { text: "🔙 В главное меню", callback_data: "back_to_menu" },
+  ]);
+
+  return { reply_markup: { inline_keyboard: keyboard } };
+}
+
+const USER_TYPE_LABELS = {
+  regular: "обычный",
+  bot: "bot",
+  support: "support",
+};
+
+// Показывает текущий шаг мастера создания пользователя
+function showCreateUserStep(chatId, messageId, draft) {
+  const cancelRow = [{ text: "❌ Отмена", callback_data: "back_to_menu" }];
+  let text;
+  let keyboard;
+
+  switch (draft.step) {
+    case "localpart":
+      text =
+        "➕ *Создание пользователя*\n\n*Шаг 1/5:* введите локальную часть ID пользователя (например, `ivan.petrov`).\n\nДопустимы строчные латинские буквы, цифры и символы `._=-/+`.";
+      keyboard = [cancelRow];
+      break;
+    case "overwrite_warning":
+      text = `⚠️ *Пользователь уже существует*\n\nУчетная запись \`${draft.userId}\` уже есть на сервере.\n\nПродолжение перезапишет ее отображаемое имя, пароль, права администратора и тип пользователя.`;
+      keyboard = [
+        [
+          {
+            text: "⚠️ Да, перезаписать",
+            callback_data: "create_user_overwrite",
+          },
+        ],
+        [{ text: "✏️ Ввести другое имя", callback_data: "create_user" }],
+        cancelRow,
+      ];
+      break;
+    case "displayname":
+      text = `➕ *Создание пользователя* \`${draft.userId}\`\n\n*Шаг 2/5:* введите отображаемое имя.`;
+      keyboard = [
+        [{ text: "⏭ Пропустить", callback_data: "create_user_skip_name" }],
+        cancelRow,
+      ];
+      break;
+    case "password":
+      text = `➕ *Создание пользователя* \`${draft.userId}\`\n\n*Шаг 3/5:* введите пароль (не менее 8 символов) или сгенерируйте его.\n\nСообщение с паролем будет удалено из чата.`;
+      keyboard = [
+        [
+          {
+            text: "🎲 Сгенерировать пароль",
+            callback_data: "create_user_gen_password",
+          },
+        ],
+        cancelRow,
+      ];
+      break;
+    case "admin":
+      text = `➕ *Создание пользователя* \`${draft.userId}\`\n\n*Шаг 4/5:* сделать пользователя администратором сервера?`;
+      keyboard = [
+        [
+          { text: "👑 Да", callback_data: "create_user_admin_yes" },
+          { text: "👤 Нет", callback_data: "create_user_admin_no" },
+        ],
+        cancelRow,
+      ];
+      break;
+    case "user_type":
+      text = `➕ *Создание пользователя* \`${draft.userId}\`\n\n*Шаг 5/5:* выберите тип пользователя.`;
+      keyboard = [
+        [
+          { text: "👤 Обычный", callback_data: "create_user_type_regular" },
+          { text: "🤖 bot", callback_data: "create_user_type_bot" },
+          { text: "🛟 support", callback_data: "create_user_type_support" },
+        ],
+        cancelRow,
+      ];
+      break;
+    case "confirm":
+      text = `➕ *Проверьте данные*
+
+*ID пользователя:* \`${draft.userId}\`
+*Отображаемое имя:* ${
+        draft.displayname ? escapeMarkdown(draft.displayname) : "Не установлено"
+      }
+*Пароль:* ${draft.passwordGenerated ? "сгенерирован" : "задан вручную"}
+*Администратор:* ${draft.admin ? "👑 Да" : "❌ Нет"}
+*Тип пользователя:* ${USER_TYPE_LABELS[draft.userType]}${
+        draft.overwrite
+          ? "\n\n⚠️ *Существующая учетная запись будет перезаписана!*"
+          : ""
+      }`;
+      keyboard = [
+        [{ text: "✅ Создать", callback_data: "create_user_confirm" }],
+        cancelRow,
+      ];
+      break;
+    default:
+      return Promise.resolve();
+  }
+
+  return sendOrEdit(chatId, messageId, text, {
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: keyboard },
+  });
+}
+
+function formatUserInfo(userInfo) {
+  return `
+👤 *Информация о пользователе*
+
+*ID пользователя:* \`${userInfo.name}\`
+*Отображаемое имя:* ${
+    userInfo.displayname
+      ? escapeMarkdown(userInfo.displayname)
+      : "Не установлено"
+  }
+*Статус:* ${getUserStatusLabel(userInfo)}
+*Администратор:* ${userInfo.admin ? "👑 Да" : "❌ Нет"}
+*Тип пользователя:* ${userInfo.user_type || "обычный"}
+*Контакты:* ${
+    userInfo.threepids && userInfo.threepids.length > 0
+      ? userInfo.threepids.map((t) => escapeMarkdown(t.address)).join(", ")
+      : "Не привязаны"
+  }
+*SSO:* ${
+    userInfo.external_ids && userInfo.external_ids.length > 0
+      ? userInfo.external_ids
+          .map(
+            (e) =>
+              `${escapeMarkdown(e.auth_provider)}: ${escapeMarkdown(
+                e.external_id
+              )}`
+          )
+          .join(", ")
+      : "Не привязан"
+  }
+*Время создания:* ${new Date(userInfo.creation_ts * 1000).toLocaleString(
+    "ru-RU"
+  )}
+*Последний вход:* ${
+    userInfo.last_seen_ts
+      ? new Date(userInfo.last_seen_ts).toLocaleString("ru-RU")
+      : "Неизвестно"
+  }
+                `;
+}
+
+function createUserInfoKeyboard(userInfo) {
+  const userId = userInfo.name;
+  const buttons = [];
+
+  if (userInfo.deactivated) {
+    buttons.push([
+      {
+        text: "♻️ Реактивировать пользователя",
+        callback_data: `reactivate_${userId}`,
+      },
+    ]);
+  } else if (userInfo.admin) {
+    buttons.push([
+      {
+        text: "👑 Администратор защищен от деактивации",
+        callback_data: "noop",
+      },
+    ]);
+  } else {
+    buttons.push([
+      {
+        text: "🗑️ Деактивировать пользователя",
+        callback_data: `deactivate_${userId}`,
+      },
+    ]);
+  }
+
+  if (!userInfo.deactivated && !userInfo.admin) {
+    buttons.push([
+      userInfo.locked
+        ? { text: "🔓 Разблокировать", callback_data: `unlock_${userId}` }
+        : { text: "🔒 Заблокировать", callback_data: `lock_${userId}` },
+      userInfo.suspended
+        ? { text: "▶️ Возобновить", callback_data: `unsuspend_${userId}` }
+        : { text: "⏸ Приостановить", callback_data: `suspend_${userId}` },
+    ]);
+    buttons.push([
+      userInfo.shadow_banned
+        ? {
+            text: "👁 Снять теневой бан",
+            callback_data: `unshadowban_${userId}`,
+          }
+        : { text: "👻 Теневой бан", callback_data: `shadowban_${userId}` },
+    ]);
+  }
+
+  if (!userInfo.deactivated) {
+    buttons.push([
+      { text: "🔑 Сбросить пароль", callback_data: `resetpw_${userId}` },
+      { text: "⏱ Ratelimit", callback_data: `ratelimit_${userId}` },
+    ]);
+    buttons.push([
+      { text: "✏️ Изменить профиль", callback_data: `profile_${userId}` },
+    ]);
+    buttons.push([
+      { text: "📱 Устройства", callback_data: `devices_${userId}` },
+      { text: "🌐 Подключения", callback_data: `whois_${userId}` },
+    ]);
+    buttons.push([
+      { text: "🏠 Комнаты", callback_data: `user_rooms_${userId}` },
+      { text: "🖼 Медиа", callback_data: `user_media_${userId}` },
+    ]);
+    buttons.push([
+      { text: "📧 Email и телефоны", callback_data: `threepids_${userId}` },
+      { text: "🔗 SSO", callback_data: `sso_${userId}` },
+    ]);
+    buttons.push([
+      userInfo.admin
+        ? {
+            text: "⬇️ Снять права администратора",
+            callback_data: `admin_revoke_${userId}`,
+          }
+        : {
+            text: "👑 Назначить администратором",
+            callback_data: `admin_grant_${userId}`,
+          },
+    ]);
+  }
+
+  buttons.push([
+    { text: "🧹 Удалить сообщения", callback_data: `redact_${userId}` },
+  ]);
+
+  buttons.push([
+    { text: "🔙 Назад к поиску", callback_data: "back_to_search" },
+  ]);
+  buttons.push([{ text: "🏠 Главное меню", callback_data: "back_to_menu" }]);
+
+  return { reply_markup: { inline_keyboard: buttons } };
+}
+
+// Показывает карточку пользователя (messageId = null — новым сообщением)
+async function showUserInfo(chatId, messageId, userId) {
+  try {
+    const userInfo = await matrixClient.getUserInfo(userId);
+
+    await sendOrEdit(chatId, messageId, formatUserInfo(userInfo), {
+      parse_mode: "Markdown",
+      ...createUserInfoKeyboard(userInfo),
+    });
+  } catch (error) {
+    await sendOrEdit(
+      chatId,
+      messageId,
+      `❌ *Ошибка получения информации о пользователе*\n\nОшибка: ${error.message}`,
+      {
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+          ],
+        },
+      }
+    );
+  }
+}
+
+// Отправляет новые учетные данные администратору в личный чат с ботом.
+// Сообщение удаляется через PASSWORD_MESSAGE_TTL секунд.
+async function sendCredentials(adminUser, userId, password, title) {
+  const sent = await bot.sendMessage(
+    adminUser.id,
+    `🔐 *${title}*\n\n*Логин:* \`${userId}\`\n*Пароль:* \`${password}\`\n\n⏳ Сообщение будет удалено через ${PASSWORD_MESSAGE_TTL} сек.`,
+    { parse_mode: "Markdown" }
+  );
+
+  setTimeout(() => {
+    bot.deleteMessage(adminUser.id, sent.message_id).catch(() => {});
+  }, PASSWORD_MESSAGE_TTL * 1000);
+
+  return sent;
+}
+
+// Объединяет состояние пользователя с новыми полями, сохраняя остальные
+// (например, результаты поиска для кнопки «Назад к поиску»)
+function updateUserState(chatId, patch) {
+  const state = { ...(userStates.get(chatId) || {}), ...patch };
+  userStates.set(chatId, state);
+  return state;
+}
+
+async function reactivateUser(chatId, messageId, adminUser, userId, password) {
+  await sendOrEdit(
+    chatId,
+    messageId,
+    `🔄 Реактивация пользователя ${userId}...`
+  );
+
+  try {
+    await matrixClient.createOrUpdateUser(userId, {
+      deactivated: false,
+      password,
+    });
+    logAdminAction(adminUser, "Пользователь реактивирован", userId);
+  } catch (error) {
+    await sendOrEdit(
+      chatId,
+      messageId,
+      `❌ *Ошибка реактивации*\n\nОшибка: ${error.message}`,
+      {
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [
+              {
+                text: "🔄 Попробовать снова",
+                callback_data: `reactivate_${userId}`,
+              },
+            ],
+            [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+          ],
+        },
+      }
+    );
+    return;
+  }
+
+  let credentialsNote =
+    "Новые учетные данные отправлены вам в личные сообщения.";
+  try {
+    await sendCredentials(
+      adminUser,
+      userId,
+      password,
+      "Новые учетные данные после реактивации"
+    );
+  } catch (error) {
+    console.error("Ошибка отправки учетных данных:", error.message);
+    credentialsNote =
+      "⚠️ Не удалось отправить учетные данные в личные сообщения. Начните личный диалог с ботом и задайте пароль заново.";
+  }
+
+  await sendOrEdit(
+    chatId,
+    messageId,
+    `✅ *Пользователь реактивирован*\n\nПользователь \`${userId}\` снова активен. ${credentialsNote}`,
+    {
+      parse_mode: "Markdown",
+      reply_markup: {
+        inline_keyboard: [
+          [
+            {
+              text: "👤 Открыть карточку",
+              callback_data: `userinfo_${userId}`,
+            },
+          ],
+          [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+        ],
+      },
+    }
+  );
+}
+
+function showResetPasswordMenu(chatId, messageId, userId) {
+  // Цель хранится в состоянии: с длинным ID префикс не уложился бы
+  // в 64 байта callback_data
+  updateUserState(chatId, { resetpw_target: userId });
+
+  return sendOrEdit(
+    chatId,
+    messageId,
+    `🔑 *Сброс пароля*\n\n\`${userId}\`\n\nБудет сгенерирован новый надежный пароль. Сообщение с ним будет удалено через ${PASSWORD_MESSAGE_TTL} сек.\n\nЗавершить все сеансы пользователя на его устройствах?`,
+    {
+      parse_mode: "Markdown",
+      reply_markup: {
+        inline_keyboard: [
+          [
+            {
+              text: "🚪 Сбросить и выйти со всех устройств",
+              callback_data: "resetpw_logout",
+            },
+          ],
+          [
+            {
+              text: "🔑 Сбросить, сохранив сеансы",
+              callback_data: "resetpw_keep",
+            },
+          ],
+          [{ text: "❌ Отмена", callback_data: `userinfo_${userId}` }],
+        ],
+      },
+    }
+  );
+}
+
+async function resetUserPassword(
+  chatId,
+  messageId,
+  adminUser,
+  userId,
+  logoutDevices
+) {
+  await sendOrEdit(chatId, messageId, `🔄 Сброс пароля ${userId}...`);
+
+  const password = generatePassword();
+  try {
+    await matrixClient.resetPassword(userId, password, logoutDevices);
+    logAdminAction(
+      adminUser,
+      logoutDevices
+        ? "Пароль сброшен (с выходом со всех устройств)"
+        : "Пароль сброшен",
+      userId
+    );
+  } catch (error) {
+    await sendOrEdit(
+      chatId,
+      messageId,
+      `❌ *Ошибка сброса пароля*\n\nОшибка: ${error.message}`,
+      {
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [
+              {
+                text: "🔄 Попробовать снова",
+                callback_data: `resetpw_${userId}`,
+              },
+            ],
+            [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+          ],
+        },
+      }
+    );
+    return;
+  }
+
+  let credentialsNote = `Новый пароль отправлен вам в личные сообщения и будет удален через ${PASSWORD_MESSAGE_TTL} сек.`;
+  try {
+    await sendCredentials(adminUser, userId, password, "Новый пароль");
+  } catch (error) {
+    console.error("Ошибка отправки учетных данных:", error.message);
+    credentialsNote =
+      "⚠️ Не удалось отправить пароль в личные сообщения. Начните личный диалог с ботом и сбросьте пароль заново.";
+  }
+
+  await sendOrEdit(
+    chatId,
+    messageId,
+    `✅ *Пароль сброшен*\n\nПользователь: \`${userId}\`\n${
+      logoutDevices ? "🚪 Все сеансы пользователя завершены.\n" : ""
+    }\n${credentialsNote}`,
+    {
+      parse_mode: "Markdown",
+      reply_markup: {
+        inline_keyboard: [
+          [
+            {
+              text: "👤 Открыть карточку",
+              callback_data: `userinfo_${userId}`,
+            },
+          ],
+          [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+        ],
+      },
+    }
+  );
+}
+
+// Смена прав администратора требует двух подтверждений:
+// stage "confirm" — первое, "final" — последнее перед выполнением
+async function showAdminChangeStep(chatId, messageId, userId, grant, stage) {
+  // Бот не должен снимать права с владельца собственного токена
+  if (!grant && userId === (await matrixClient.getOwnUserId())) {
+    await bot.editMessageText(
+      `⛔ *Действие запрещено*\n\n\`${userId}\` — владелец токена администратора, которым пользуется бот. Снятие прав лишит бот доступа к серверу.`,
+      {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: "🔙 Назад", callback_data: `userinfo_${userId}` }],
+          ],
+        },
+      }
+    );
+    return;
+  }
+
+  // Цель хранится в состоянии: префикс с ID пользователя может превысить
+  // лимит callback_data в 64 байта
+  updateUserState(chatId, { admin_change: { userId, grant } });
+
+  const text =
+    stage === "confirm"
+      ? grant
+        ? `👑 *Назначение администратором*\n\nПользователь \`${userId}\` получит полный доступ к API администрирования сервера.\n\nПродолжить?`
+        : `⬇️ *Снятие прав администратора*\n\nПользователь \`${userId}\` потеряет доступ к API администрирования сервера.\n\nПродолжить?`
+      : `⚠️ *Последнее подтверждение*\n\n${
+          grant ? "Назначить администратором" : "Снять права администратора у"
+        } \`${userId}\`?`;
+
+  await bot.editMessageText(text, {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: "Markdown",
+    reply_markup: {
+      inline_keyboard: [
+        [
+          {
+            text: stage === "confirm" ? "✅ Продолжить" : "✅ Да, я уверен",
+            callback_data:
+              stage === "confirm"
+                ? "admin_change_confirm"
+                : "admin_change_final",
+          },
+          { text: "❌ Отмена", callback_data: `userinfo_${userId}` },
+        ],
+      ],
+    },
+  });
+}
+
+async function changeUserAdmin(chatId, messageId, adminUser, userId, grant) {
+  if (!grant && userId === (await matrixClient.getOwnUserId())) {
+    await showAdminChangeStep(chatId, messageId, userId, grant, "final");
+    return;
+  }
+
+  await bot.editMessageText(`🔄 Изменение прав ${userId}...`, {
+    chat_id: chatId,
+    message_id: messageId,
+  });
+
+  await matrixClient.setUserAdmin(userId, grant);
+  logAdminAction(
+    adminUser,
+    grant ? "Назначен администратор" : "Сняты права администратора",
+    userId
+  );
+
+  await bot.editMessageText(
+    grant
+      ? `✅ *Права назначены*\n\n\`${userId}\` теперь администратор сервера.`
+      : `✅ *Права сняты*\n\n\`${userId}\` больше не администратор сервера.`,
+    {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: "Markdown",
+      reply_markup: {
+        inline_keyboard: [
+          [
+            {
+              text: "👤 Открыть карточку",
+              callback_data: `userinfo_${userId}`,
+            },
+          ],
+          [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+        ],
+      },
+    }
+  );
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+const JOB_POLL_INTERVAL = 3000;
+const JOB_POLL_TIMEOUT = 30 * 60 * 1000;
+
+// Опрашивает статус фоновой задачи Synapse, пока isFinished не вернет true.
+// onUpdate вызывается только при изменении текста прогресса, чтобы не упираться
+// в ограничения Telegram на частоту правок.
+async function pollJobStatus(
+  fetchStatus,
+  isFinished,
+  formatProgress,
+  onUpdate
+) {
+  const startedAt = Date.now();
+  let lastText = null;
+
+  for (;;) {
+    const status = await fetchStatus();
+    if (isFinished(status)) {
+      return status;
+    }
+
+    const text = formatProgress(status);
+    if (text !== lastText) {
+      lastText = text;
+      await onUpdate(text).catch(() => {});
+    }
+
+    if (Date.now() - startedAt > JOB_POLL_TIMEOUT) {
+      throw new Error(
+        "Задача не завершилась за 30 минут. Проверьте ее статус позже."
+      );
+    }
+    await sleep(JOB_POLL_INTERVAL);
+  }
+}
+
+const REDACT_STATUS_LABELS = {
+  scheduled: "⏳ в очереди",
+  active: "🔄 выполняется",
+  completed: "✅ завершено",
+  failed: "❌ ошибка",
+};
+
+async function startRedaction(adminUser, userId, rooms) {
+  const redactId = await matrixClient.redactUserEvents(userId, rooms);
+  logAdminAction(
+    adminUser,
+    `Запущено удаление сообщений (${
+      rooms.length > 0 ? rooms.join(", ") : "все комнаты"
+    }), задача ${redactId}`,
+    userId
+  );
+  return redactId;
+}
+
+// Следит за задачей удаления сообщений, обновляя одно сообщение в Telegram
+async function trackRedaction(
+  chatId,
+  messageId,
+  userId,
+  redactId,
+  header = ""
+) {
+  const editProgress = (text) =>
+    bot.editMessageText(text, {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: "Markdown",
+    });
+
+  let text;
+  try {
+    const result = await pollJobStatus(
+      () => matrixClient.getRedactStatus(redactId),
+      (status) => status.status === "completed" || status.status === "failed",
+      (status) =>
+        `${header}🧹 *Удаление сообщений* \`${userId}\`\n\nСтатус: ${
+          REDACT_STATUS_LABELS[status.status] || status.status
+        }`,
+      editProgress
+    );
+
+    const failed = Object.entries(result.failed_redactions || {});
+    text = `${header}🧹 *Удаление сообщений* \`${userId}\`\n\nСтатус: ${
+      REDACT_STATUS_LABELS[result.status]
+    }\nНе удалось удалить событий: ${failed.length}`;
+    failed.slice(0, 10).forEach(([eventId, reason]) => {
+      text += `\n• \`${eventId}\`: ${escapeMarkdown(reason)}`;
+    });
+  } catch (error) {
+    text = `${header}❌ *Ошибка удаления сообщений*\n\nОшибка: ${escapeMarkdown(
+      error.message
+    )}`;
+  }
+
+  await bot.editMessageText(text, {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: "Markdown",
+    reply_markup: {
+      inline_keyboard: [
+        [
+          {
+            text: "👤 Открыть карточку",
+            callback_data: `userinfo_${userId}`,
+          },
+        ],
+        [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+      ],
+    },
+  });
+}
+
+function showRedactConfirmation(chatId, messageId, userId, rooms) {
+  updateUserState(chatId, {
+    awaiting_input: null,
+    redact: { userId, rooms },
+  });
+
+  const scope =
+    rooms.length > 0
+      ? `в комнатах:\n${rooms.map((r) => `• \`${r}\``).join("\n")}`
+      : "во *всех* комнатах, где состоит пользователь";
+
+  return sendOrEdit(
+    chatId,
+    messageId,
+    `⚠️ *Подтверждение удаления сообщений*\n\nВсе события пользователя \`${userId}\` будут удалены (redact) ${scope}.\n\n⚠️ Это действие нельзя отменить!`,
+    {
+      parse_mode: "Markdown",
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: "✅ Да, удалить", callback_data: "redact_confirm" }],
+          [{ text: "❌ Отмена", callback_data: `userinfo_${userId}` }],
+        ],
+      },
+    }
+  );
+}
+
+async function performDeactivation(
+  chatId,
+  messageId,
+  user,
+  userId,
+  erase,
+  redact = false
+) {
+  await bot.editMessageText(
+    `🔄 ${
+      erase ? "Деактивация и стирание данных" : "Деактивация"
+    } пользователя ${userId}...`,
+    {
+      chat_id: chatId,
+      message_id: messageId,
+    }
+  );
+
+  try {
+    // Удаление сообщений запускается до деактивации: после нее пользователь
+    // покидает все комнаты, и Synapse не найдет, где удалять события
+    const redactId = redact ? await startRedaction(user, userId, []) : null;
+
+    await matrixClient.deactivateUser(userId, erase);
+
+    // Логируем деактивацию
+    const userInfo = `${user.first_name || ""} ${user.last_name || ""}`.trim();
+    const username = user.username
+      ? `@${user.username}`
+      : "нет имени пользователя";
+    console.log(
+      `🔴 Пользователь деактивирован авторизованным администратором:`
+    );
+    console.log(`   Администратор: ${userInfo} (${username})`);
+    console.log(`   ID администратора: ${user.id}`);
+    console.log(`   Деактивирован: ${userId}`);
+    console.log(`   Данные стерты (GDPR): ${erase ? "да" : "нет"}`);
+    console.log(`   Время: ${new Date().toISOString()}`);
+
+    if (redactId) {
+      await trackRedaction(
+        chatId,
+        messageId,
+        userId,
+        redactId,
+        `✅ Пользователь \`${userId}\` деактивирован.\n\n`
+      );
+      return;
+    }
+
+    await bot.editMessageText(
+      `✅ *Пользователь успешно деактивирован*\n\nПользователь \`${userId}\` был деактивирован.${
+        erase ? "\n\n🧨 Персональные данные пользователя стерты." : ""
+      }`,
+      {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [
+              {
+                text: "❌ Деактивировать другого",
+                callback_data: "deactivate_menu",
+              },
+            ],
+            [
+              {
+                text: "🔙 В главное меню",
+                callback_data: "back_to_menu",
+              },
+            ],
+          ],
+        },
+      }
+    );
+  } catch (error) {
+    await bot.editMessageText(
+      `❌ *Ошибка деактивации*\n\nОшибка: ${error.message}`,
+      {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [
+              {
+                text: "🔄 Попробовать снова",
+                callback_data: "deactivate_menu",
+              },
+            ],
+            [
+              {
+                text: "🔙 В главное меню",
+                callback_data: "back_to_menu",
+              },
+            ],
+          ],
+        },
+      }
+    );
+  }
+}
+
+// Обновляет пользователя в сохраненных результатах поиска,
+// чтобы список отражал изменения без повторного запроса
+function updateCachedSearchUser(chatId, userId, patch) {
+  const state = userStates.get(chatId);
+  if (!state || !state.search_results) {
+    return;
+  }
+  const cached = state.search_results.find((u) => u.name === userId);
+  if (cached) {
+    Object.assign(cached, patch);
+  }
+}
+
+async function setShadowBan(adminUser, chatId, userId, banned) {
+  await matrixClient.setShadowBan(userId, banned);
+  logAdminAction(
+    adminUser,
+    banned ? "Теневой бан установлен" : "Теневой бан снят",
+    userId
+  );
+  updateCachedSearchUser(chatId, userId, { shadow_banned: banned });
+}
+
+function formatRatelimit(override) {
+  if (override.messages_per_second === undefined) {
+    return "по умолчанию (переопределения нет)";
+  }
+  if (override.messages_per_second === 0 && override.burst_count === 0) {
+    return "🚫 без ограничений";
+  }
+  return `${override.messages_per_second} сообщ./сек, пакет ${override.burst_count}`;
+}
+
+async function showRatelimit(chatId, messageId, userId) {
+  const override = await matrixClient.getRatelimit(userId);
+  // Кнопки действий ссылаются на пользователя через состояние: с длинным ID
+  // префикс не уложился бы в 64 байта callback_data
+  updateUserState(chatId, { ratelimit_target: userId });
+
+  const buttons = [
+    [
+      { text: "✏️ Задать значения", callback_data: "ratelimit_set" },
+      { text: "🚫 Без ограничений", callback_data: "ratelimit_unlimited" },
+    ],
+  ];
+  if (override.messages_per_second !== undefined) {
+    buttons.push([
+      {
+        text: "🗑 Удалить переопределение",
+        callback_data: "ratelimit_del",
+      },
+    ]);
+  }
+  buttons.push([
+    { text: "📋 Все переопределения", callback_data: "ratelimit_list" },
+  ]);
+  buttons.push([{ text: "🔙 Назад", callback_data: `userinfo_${userId}` }]);
+
+  await sendOrEdit(
+    chatId,
+    messageId,
+    `⏱ *Ограничение частоты сообщений*\n\nПользователь: \`${userId}\`\nТекущее значение: ${formatRatelimit(
+      override
+    )}\n\nЗначения 0 / 0 полностью снимают ограничение (подходит для мостов и ботов).`,
+    { parse_mode: "Markdown", reply_markup: { inline_keyboard: buttons } }
+  );
+}
+
+// Перебирает активных пользователей и собирает тех, у кого есть переопределение.
+// Отдельного API для списка в Synapse нет, поэтому запросы идут по одному.
+async function showRatelimitList(chatId, messageId) {
+  const progress = await sendOrEdit(
+    chatId,
+    messageId,
+    "🔄 Поиск пользователей с переопределенными ограничениями..."
+  );
+  const targetMessageId = messageId || progress.message_id;
+
+  const users = (await matrixClient.getAllUsers()).filter(
+    (u) => !u.deactivated
+  );
+  const overrides = [];
+  for (const u of users) {
+    const override = await matrixClient.getRatelimit(u.name);
+    if (override.messages_per_second !== undefined) {
+      overrides.push({ userId: u.name, override });
+    }
+  }
+
+  let text = `⏱ *Переопределения ограничений* (${overrides.length} из ${users.length} активных)\n\n`;
+  if (overrides.length === 0) {
+    text += "Ни у одного пользователя нет переопределений.";
+  }
+  text = joinLinesWithinLimit(
+    text,
+    overrides.map(
+      ({ userId, override }, index) =>
+        `${index + 1}. \`${userId}\` — ${formatRatelimit(override)}\n`
+    )
+  );
+
+  const buttons = overrides
+    .slice(0, 30)
+    .map(({ userId }) => [
+      { text: `⏱ ${userId}`, callback_data: `ratelimit_${userId}` },
+    ]);
+  buttons.push([{ text: "🔙 В главное меню", callback_data: "back_to_menu" }]);
+
+  await bot.editMessageText(text, {
+    chat_id: chatId,
+    message_id: targetMessageId,
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: buttons },
+  });
+}
+
+async function applyRatelimit(
+  chatId,
+  messageId,
+  adminUser,
+  userId,
+  mps,
+  burst
+) {
+  await matrixClient.setRatelimit(userId, mps, burst);
+  logAdminAction(
+    adminUser,
+    `Ограничение частоты установлено (${mps}/${burst})`,
+    userId
+  );
+  await showRatelimit(chatId, messageId, userId);
+}
+
+const DEVICES_PER_PAGE = 10;
+
+// Загружает устройства пользователя в состояние и сбрасывает выбор
+async function loadUserDevices(chatId, userId) {
+  const data = await matrixClient.getUserDevices(userId);
+  const devices = (data.devices || []).sort(
+    (a, b) => (b.last_seen_ts || 0) - (a.last_seen_ts || 0)
+  );
+  return updateUserState(chatId, {
+    devices: { userId, list: devices, selected: [], page: 0 },
+  }).devices;
+}
+
+async function showUserDevices(chatId, messageId, devicesState) {
+  const { userId, list, selected, page } = devicesState;
+  const startIndex = page * DEVICES_PER_PAGE;
+  const endIndex = Math.min(startIndex + DEVICES_PER_PAGE, list.length);
+
+  let text = `📱 *Устройства пользователя* \`${userId}\`\n\nВсего: ${list.length}\n\n`;
+  if (list.length === 0) {
+    text += "У пользователя нет активных устройств.";
+  }
+  text = joinLinesWithinLimit(
+    text,
+    list.slice(startIndex, endIndex).map((device, offset) => {
+      const index = startIndex + offset;
+      return `${index + 1}. ${escapeMarkdown(
+        device.display_name || "Без названия"
+      )} (\`${device.device_id}\`)\n   └ IP: ${
+        device.last_seen_ip || "неизвестен"
+      }, активность: ${
+        device.last_seen_ts
+          ? new Date(device.last_seen_ts).toLocaleString("ru-RU")
+          : "неизвестно"
+      }\n`;
+    })
+  );
+
+  const keyboard = [];
+  list.slice(startIndex, endIndex).forEach((device, offset) => {
+    const index = startIndex + offset;
+    const mark = selected.includes(index) ? "☑️" : "⬜";
+    keyboard.push([
+      {
+        text: `${mark} ${index + 1}. ${
+          device.display_name || device.device_id
+        }`,
+        callback_data: `devices_toggle_${index}`,
+      },
+      { text: "🗑", callback_data: `devices_del_${index}` },
+    ]);
+  });
+
+  const navRow = [];
+  if (page > 0) {
+    navRow.push({
+      text: "◀️ Назад",
+      callback_data: `devices_page_${page - 1}`,
+    });
+  }
+  if (endIndex < list.length) {
+    navRow.push({
+      text: "Далее ▶️",
+      callback_data: `devices_page_${page + 1}`,
+    });
+  }
+  if (navRow.length > 0) {
+    keyboard.push(navRow);
+  }
+
+  if (selected.length > 0) {
+    keyboard.push([
+      {
+        text: `🗑 Удалить выбранные (${selected.length})`,
+        callback_data: "devices_del_selected",
+      },
+    ]);
+  }
+  if (list.length > 0) {
+    keyboard.push([
+      {
+        text: "🚪 Удалить все (выйти везде)",
+        callback_data: "devices_del_all",
+      },
+    ]);
+  }
+  keyboard.push([{ text: "🔙 Назад", callback_data: `userinfo_${userId}` }]);
+
+  await bot.editMessageText(text, {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: keyboard },
+  });
+}
+
+// Возвращает устройства для удаления без устройства токена бота: вместе с
+// устройством Synapse отзывает его токены, и бот потерял бы доступ к серверу
+async function getDevicesToDelete(devicesState, target) {
+  let deviceIds;
+  if (target === "all") {
+    deviceIds = devicesState.list.map((d) => d.device_id);
+  } else if (target === "selected") {
+    deviceIds = devicesState.selected.map(
+      (i) => devicesState.list[i].device_id
+    );
+  } else {
+    const device = devicesState.list[parseInt(target)];
+    deviceIds = device ? [device.device_id] : [];
+  }
+
+  if (devicesState.userId !== (await matrixClient.getOwnUserId())) {
+    return { deviceIds, botDeviceId: null };
+  }
+  const ownDeviceId = await matrixClient.getOwnDeviceId();
+  return {
+    deviceIds: deviceIds.filter((id) => id !== ownDeviceId),
+    botDeviceId: deviceIds.includes(ownDeviceId) ? ownDeviceId : null,
+  };
+}
+
+// Сводит сеансы из ответа whois в список уникальных пар IP + User-Agent
+// с последним временем активности, сгруппированный по IP
+function groupWhoisConnections(whois) {
+  const byIp = new Map();
+
+  Object.values(whois.devices || {}).forEach((device) => {
+    (device.sessions || []).forEach((session) => {
+      (session.connections || []).forEach((connection) => {
+        if (!byIp.has(connection.ip)) {
+          byIp.set(connection.ip, {
+            ip: connection.ip,
+            lastSeen: 0,
+            agents: new Map(),
+          });
+        }
+        const group = byIp.get(connection.ip);
+        const userAgent = connection.user_agent || "неизвестный клиент";
+        group.lastSeen = Math.max(group.lastSeen, connection.last_seen || 0);
+        group.agents.set(
+          userAgent,
+          Math.max(group.agents.get(userAgent) || 0, connection.last_seen || 0)
+        );
+      });
+    });
+  });
+
+  return [...byIp.values()].sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+function formatBytes(bytes) {
+  const units = ["Б", "КБ", "МБ", "ГБ", "ТБ"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function formatTimestamp(ts) {
+  return ts ? new Date(ts).toLocaleString("ru-RU") : "неизвестно";
+}
+
+async function showWhois(chatId, messageId, userId) {
+  const whois = await matrixClient.getWhois(userId);
+  const groups = groupWhoisConnections(whois);
+
+  let text = `🌐 *Подключения пользователя* \`${userId}\`\n\n`;
+  if (groups.length === 0) {
+    text += "Нет данных о подключениях.";
+  }
+  // Каждый IP со своими клиентами — одна запись, чтобы не разрывать группу
+  text = joinLinesWithinLimit(
+    text,
+    groups.map((group) => {
+      let entry = `📍 \`${group.ip}\` — ${formatTimestamp(group.lastSeen)}\n`;
+      [...group.agents.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([userAgent, lastSeen]) => {
+          entry += `   └ ${escapeMarkdown(userAgent)} (${formatTimestamp(
+            lastSeen
+          )})\n`;
+        });
+      return entry + "\n";
+    })
+  );
+
+  await bot.editMessageText(text, {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: "Markdown",
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: "🔙 Назад", callback_data: `userinfo_${userId}` }],
+      ],
+    },
+  });
+}
+
+const ROOMS_PER_PAGE = 10;
+
+// Подгружает сведения о комнатах текущей страницы (с кэшированием в состоянии)
+async function loadRoomDetailsPage(roomIds, detailsCache, page) {
+  const startIndex = page * ROOMS_PER_PAGE;
+  const pageRoomIds = roomIds.slice(startIndex, startIndex + ROOMS_PER_PAGE);
+
+  for (const roomId of pageRoomIds) {
+    if (!detailsCache[roomId]) {
+      try {
+        detailsCache[roomId] = await matrixClient.getRoomDetails(roomId);
+      } catch (error) {
+        // Комната могла быть удалена или неизвестна серверу
+        detailsCache[roomId] = { room_id: roomId };
+      }
+    }
+  }
+
+  return pageRoomIds.map((roomId) => detailsCache[roomId]);
+}
+
+function formatRoomTitle(room) {
+  return room.name || room.canonical_alias || room.room_id;
+}
+
+function createRoomSelectionKeyboard(
+  rooms,
+  totalRooms,
+  page,
+  pagePrefix,
+  backButton
+) {
+  const keyboard = [];
+
+  rooms.forEach((room) => {
+    const members =
+      room.joined_members !== undefined ? ` (👥 ${room.joined_members})` : "";
+    keyboard.push([
+      {
+        text: `🏠 ${formatRoomTitle(room)}${members}`,
+        callback_data: `room_${room.room_id}`,
+      },
+    ]);
+  });
+
+  // Добавляем кнопки навигации
+  const navRow = [];
+  if (page > 0) {
+    navRow.push({
+      text: "◀️ Назад",
+      callback_data: `${pagePrefix}_page_${page - 1}`,
+    });
+  }
+  if ((page + 1) * ROOMS_PER_PAGE < totalRooms) {
+    navRow.push({
+      text: "Далее ▶️",
+      callback_data: `${pagePrefix}_page_${page + 1}`,
+    });
+  }
+  if (navRow.length > 0) {
+    keyboard.push(navRow);
+  }
+
+  keyboard.push([backButton]);
+
+  return { reply_markup: { inline_keyboard: keyboard } };
+}
+
+async function showUserRooms(chatId, messageId, userRoomsState) {
+  const { userId, roomIds, details, page } = userRoomsState;
+  const rooms = await loadRoomDetailsPage(roomIds, details, page);
+
+  let text = `🏠 *Комнаты пользователя* \`${userId}\`\n\nВсего: ${roomIds.length}\n\n`;
+  if (roomIds.length === 0) {
+    text += "Пользователь не состоит ни в одной комнате.";
+  }
+  rooms.forEach((room, offset) => {
+    text += `${page * ROOMS_PER_PAGE + offset + 1}. ${escapeMarkdown(
+      room.name || "Без названия"
+    )}\n`;
+    text += `   └ ${
+      room.canonical_alias ? escapeMarkdown(room.canonical_alias) : "без адреса"
+    }, участников: ${
+      room.joined_members !== undefined ? room.joined_members : "?"
+    }\n`;
+  });
+
+  await bot.editMessageText(text, {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: "Markdown",
+    ...createRoomSelectionKeyboard(rooms, roomIds.length, page, "user_rooms", {
+      text: "🔙 Назад к пользователю",
+      callback_data: `userinfo_${userId}`,
+    }),
+  });
+}
+
+const JOIN_RULE_LABELS = {
+  public: "🌍 Открытая",
+  invite: "✉️ По приглашению",
+  knock: "🚪 По запросу",
+  restricted: "🔗 Для участников связанных комнат",
+  knock_restricted: "🚪 По запросу или для связанных комнат",
+  private: "🔒 Закрытая",
+};
+
+function formatRoomInfo(room, blockStatus) {
+  const remoteMembers = room.joined_members - room.joined_local_members;
+
+  return `
+🏠 *Информация о комнате*
+
+*ID комнаты:* \`${room.room_id}\`
+*Название:* ${room.name ? escapeMarkdown(room.name) : "Не установлено"}
+*Адрес:* ${
+    room.canonical_alias
+      ? escapeMarkdown(room.canonical_alias)
+      : "Не установлен"
+  }
+*Тема:* ${room.topic ? escapeMarkdown(room.topic) : "Не установлена"}
+*Создатель:* ${room.creator ? `\`${room.creator}\`` : "Неизвестен"}
+*Версия комнаты:* ${room.version || "Неизвестна"}
+*Шифрование:* ${
+    room.encryption ? `🔐 Да (${escapeMarkdown(room.encryption)})` : "❌ Нет"
+  }
+*Вход:* ${
+    JOIN_RULE_LABELS[room.join_rules] ||
+    escapeMarkdown(room.join_rules || "Неизвестно")
+  }
+*В каталоге комнат:* ${room.public ? "📢 Да" : "❌ Нет"}
+*Федерация:* ${room.federatable ? "✅ Разрешена" : "❌ Запрещена"}
+*Участников:* ${room.joined_members} (локальных: ${
+    room.joined_local_members
+  }, с других серверов: ${remoteMembers})
+*Событий состояния:* ${room.state_events}
+*Блокировка:* ${
+    blockStatus.block
+      ? `🚫 Заблокирована${
+          blockStatus.user_id ? ` (${escapeMarkdown(blockStatus.user_id)})` : ""
+        }`
+      : "✅ Нет"
+  }
+    `;
+}
+
+function createRoomInfoKeyboard(room, blockStatus, state) {
+  const roomId = room.room_id;
+  const buttons = [];
+
+  buttons.push([
+    {
+      text: `👥 Участники (${room.joined_members})`,
+      callback_data: `room_members_${roomId}`,
+    },
+  ]);
+
+  buttons.push([
+    {
+      text: "👑 Сделать администратором комнаты",
+      callback_data: `room_admin_${roomId}`,
+    },
+  ]);
+
+  buttons.push([
+    {
+      text: "➕ Добавить пользователя в комнату",
+      callback_data: `room_join_${roomId}`,
+    },
+  ]);
+
+  buttons.push([
+    blockStatus.block
+      ? {
+          text: "✅ Разблокировать комнату",
+          callback_data: `room_unblock_${roomId}`,
+        }
+      : {
+          text: "🚫 Заблокировать комнату",
+          callback_data: `room_block_${roomId}`,
+        },
+  ]);
+
+  buttons.push([
+    { text: "🗑 Удалить комнату", callback_data: `room_delete_${roomId}` },
+  ]);
+
+  if (state && state.room_browser) {
+    buttons.push([
+      {
+        text: "🔙 К списку комнат",
+        callback_data: `rooms_page_${state.room_browser.page}`,
+      },
+    ]);
+  } else if (state && state.user_rooms) {
+    buttons.push([
+      {
+        text: "🔙 К комнатам пользователя",
+        callback_data: `user_rooms_page_${state.user_rooms.page}`,
+      },
+    ]);
+  }
+  buttons.push([{ text: "🏠 Главное меню", callback_data: "back_to_menu" }]);
+
+  return { reply_markup: { inline_keyboard: buttons } };
+}
+
+async function showRoomInfo(chatId, messageId, roomId) {
+  try {
+    const [room, blockStatus] = await Promise.all([
+      matrixClient.getRoomDetails(roomId),
+      matrixClient.getRoomBlockStatus(roomId),
+    ]);
+
+    await sendOrEdit(chatId, messageId, formatRoomInfo(room, blockStatus), {
+      parse_mode: "Markdown",
+      ...createRoomInfoKeyboard(room, blockStatus, userStates.get(chatId)),
+    });
+  } catch (error) {
+    await sendOrEdit(
+      chatId,
+      messageId,
+      `❌ *Ошибка получения информации о комнате*\n\nОшибка: ${error.message}`,
+      {
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+          ],
+        },
+      }
+    );
+  }
+}
+
+const ROOM_MEMBERS_PER_PAGE = 10;
+
+async function loadRoomMembers(roomId) {
+  const [membersData, serverName] = await Promise.all([
+    matrixClient.getRoomMembers(roomId),
+    matrixClient.getServerName(),
+  ]);
+
+  // Сначала локальные участники: только их можно открыть в карточке
+  const members = (membersData.members || [])
+    .map((userId) => ({
+      userId,
+      local: userId.endsWith(`:${serverName}`),
+    }))
+    .sort((a, b) => b.local - a.local || a.userId.localeCompare(b.userId));
+
+  return { roomId, members, page: 0 };
+}
+
+async function showRoomMembers(chatId, messageId, roomMembersState) {
+  const { roomId, members, page } = roomMembersState;
+  const startIndex = page * ROOM_MEMBERS_PER_PAGE;
+  const endIndex = Math.min(startIndex + ROOM_MEMBERS_PER_PAGE, members.length);
+  const localCount = members.filter((m) => m.local).length;
+
+  let text = `👥 *Участники комнаты* \`${roomId}\`\n\nВсего: ${
+    members.length
+  } (локальных: ${localCount}, с других серверов: ${
+    members.length - localCount
+  })\n\n`;
+  if (members.length === 0) {
+    text += "В комнате нет участников.";
+  } else {
+    text +=
+      "Нажмите на локального пользователя, чтобы открыть его карточку. 🌐 — пользователи других серверов.";
+  }
+
+  const keyboard = [];
+  members.slice(startIndex, endIndex).forEach((member) => {
+    keyboard.push([
+      member.local
+        ? {
+            text: `👤 ${member.userId}`,
+            callback_data: `userinfo_${member.userId}`,
+          }
+        : { text: `🌐 ${member.userId}`, callback_data: "noop" },
+    ]);
+  });
+
+  // Добавляем кнопки навигации
+  const navRow = [];
+  if (page > 0) {
+    navRow.push({
+      text: "◀️ Назад",
+      callback_data: `room_members_page_${page - 1}`,
+    });
+  }
+  if (endIndex < members.length) {
+    navRow.push({
+      text: "Далее ▶️",
+      callback_data: `room_members_page_${page + 1}`,
+    });
+  }
+  if (navRow.length > 0) {
+    keyboard.push(navRow);
+  }
+
+  keyboard.push([
+    { text: "🔙 Назад к комнате", callback_data: `room_${roomId}` },
+  ]);
+
+  await bot.editMessageText(text, {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: keyboard },
+  });
+}
+
+// Блокирует или разблокирует комнату. Блокировать можно и комнаты, о которых
+// сервер еще не знает, поэтому карточка показывается, только если комната известна.
+async function applyRoomBlock(chatId, messageId, adminUser, roomId, block) {
+  await matrixClient.setRoomBlock(roomId, block);
+  logAdminAction(
+    adminUser,
+    block ? "Комната заблокирована" : "Комната разблокирована",
+    roomId
+  );
+
+  try {
+    await matrixClient.getRoomDetails(roomId);
+  } catch (error) {
+    await sendOrEdit(
+      chatId,
+      messageId,
+      `${
+        block ? "🚫 Комната заблокирована" : "✅ Комната разблокирована"
+      }\n\n\`${roomId}\`\n\nСервер не знает эту комнату, поэтому ее карточка недоступна.`,
+      {
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [
+              block
+                ? {
+                    text: "✅ Разблокировать комнату",
+                    callback_data: `room_unblock_${roomId}`,
+                  }
+                : {
+                    text: "🚫 Заблокировать комнату",
+                    callback_data: `room_block_${roomId}`,
+                  },
+            ],
+            [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+          ],
+        },
+      }
+    );
+    return;
+  }
+
+  await showRoomInfo(chatId, messageId, roomId);
+}
+
+// У Synapse нет API со списком заблокированных комнат, поэтому проверяем
+// статус блокировки каждой комнаты, известной серверу
+async function showBlockedRooms(chatId, messageId) {
+  const rooms = await matrixClient.getAllRooms();
+  const blocked = [];
+  let lastProgressUpdate = Date.now();
+
+  for (let i = 0; i < rooms.length; i++) {
+    const status = await matrixClient.getRoomBlockStatus(rooms[i].room_id);
+    if (status.block) {
+      blocked.push(rooms[i]);
+    }
+
+    // Telegram ограничивает частоту правок, поэтому обновляем прогресс не чаще раза в 2 секунды
+    if (Date.now() - lastProgressUpdate > 2000) {
+      lastProgressUpdate = Date.now();
+      await bot
+        .editMessageText(`🔄 Проверка комнат: ${i + 1}/${rooms.length}`, {
+          chat_id: chatId,
+          message_id: messageId,
+        })
+        .catch(() => {});
+    }
+  }
+
+  let text = `🚫 *Заблокированные комнаты* (${blocked.length})\n\nSynapse не отдает список заблокированных комнат, поэтому бот проверил все известные серверу комнаты (${rooms.length}). Заблокированные комнаты, которых нет в базе сервера (например, удаленные с очисткой или еще не посещенные), здесь не показаны.\n\n`;
+  if (blocked.length === 0) {
+    text += "Заблокированных комнат не найдено.";
+  }
+
+  const keyboard = blocked.slice(0, 50).map((room) => [
+    {
+      text: `🚫 ${formatRoomTitle(room)} (👥 ${room.joined_members})`,
+      callback_data: `room_${room.room_id}`,
+    },
+  ]);
+  keyboard.push([{ text: "🏠 К списку комнат", callback_data: "rooms" }]);
+  keyboard.push([{ text: "🔙 В главное меню", callback_data: "back_to_menu" }]);
+
+  await bot.editMessageText(text, {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: keyboard },
+  });
+}
+
+const ROOM_USER_ACTIONS = {
+  admin: {
+    title: "👑 Администратор комнаты",
+    prompt:
+      "Пользователь получит наивысший уровень прав в комнате. Если его нет в комнате, он будет в нее добавлен.",
+    confirm: "✅ Да, сделать администратором",
+    log: "Назначен администратор комнаты",
+    success: "назначен администратором комнаты",
+  },
+  join: {
+    title: "➕ Добавление в комнату",
+    prompt:
+      "Пользователь будет добавлен в комнату без приглашения. Для закрытых комнат владелец токена бота должен быть в комнате и иметь право приглашать.",
+    confirm: "✅ Да, добавить",
+    log: "Пользователь добавлен в комнату",
+    success: "добавлен в комнату",
+  },
+};
+
+function showRoomUserPrompt(chatId, messageId, roomUserPick) {
+  const action = ROOM_USER_ACTIONS[roomUserPick.action];
+  const keyboard = [];
+
+  // Без user_id Synapse назначает администратором владельца токена
+  if (roomUserPick.action === "admin") {
+    keyboard.push([
+      { text: "🤖 Владелец токена бота", callback_data: "room_pick_self" },
+    ]);
+  }
+  keyboard.push([
+    { text: "❌ Отмена", callback_data: `room_${roomUserPick.roomId}` },
+  ]);
+
+  return sendOrEdit(
+    chatId,
+    messageId,
+    `${action.title}\n\nКомната: \`${roomUserPick.roomId}\`\n\n${action.prompt}\n\nВведите имя, отображаемое имя или ID пользователя для поиска:`,
+    {
+      parse_mode: "Markdown",
+      reply_markup: { inline_keyboard: keyboard },
+    }
+  );
+}
+
+function showRoomUserConfirmation(chatId, messageId, roomUserPick) {
+  const action = ROOM_USER_ACTIONS[roomUserPick.action];
+
+  return sendOrEdit(
+    chatId,
+    messageId,
+    `${action.title}\n\nКомната: \`${roomUserPick.roomId}\`\nПользователь: \`${roomUserPick.userId}\`\n\nПодтвердите действие.`,
+    {
+      parse_mode: "Markdown",
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: action.confirm, callback_data: "room_pick_confirm" }],
+          [
+            {
+              text: "❌ Отмена",
+              callback_data: `room_${roomUserPick.roomId}`,
+            },
+          ],
+        ],
+      },
+    }
+  );
+}
+
+async function applyRoomUserAction(chatId, messageId, adminUser, roomUserPick) {
+  const { roomId, userId } = roomUserPick;
+  const action = ROOM_USER_ACTIONS[roomUserPick.action];
+
+  if (roomUserPick.action === "admin") {
+    await matrixClient.makeRoomAdmin(roomId, userId);
+  } else {
+    await matrixClient.joinUserToRoom(roomId, userId);
+  }
+  logAdminAction(adminUser, `${action.log} (${roomId})`, userId);
+
+  await bot.editMessageText(
+    `✅ Пользователь \`${userId}\` ${action.success} \`${roomId}\`.`,
+    {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: "Markdown",
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: "🏠 Открыть комнату", callback_data: `room_${roomId}` }],
+          [
+            {
+              text: "👤 Открыть карточку пользователя",
+              callback_data: `userinfo_${userId}`,
+            },
+          ],
+          [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+        ],
+      },
+    }
+  );
+}
+
+const ROOM_DELETE_STATUS_LABELS = {
+  shutting_down: "🚪 удаление участников",
+  purging: "🧹 очистка базы данных",
+  complete: "✅ завершено",
+  failed: "❌ ошибка",
+};
+
+const REPLACEMENT_ROOM_NAME = "Комната закрыта";
+
+function showRoomDeleteOptions(chatId, messageId, roomDelete) {
+  const { roomId, block, purge, replacement, message } = roomDelete;
+
+  let text = `🗑 *Удаление комнаты*\n\n\`${roomId}\`\n\nВсе локальные участники будут удалены из комнаты, ее адреса — сняты.\n\n`;
+  text += `*Заблокировать:* ${
+    block ? "✅ да, новые входы будут запрещены" : "❌ нет"
+  }\n`;
+  text += `*Очистить из базы данных:* ${
+    purge ? "✅ да, история будет удалена" : "❌ нет"
+  }\n`;
+  text += `*Комната для выселенных:* ${
+    replacement ? `✅ «${REPLACEMENT_ROOM_NAME}»` : "❌ нет"
+  }\n`;
+  if (replacement) {
+    text += `*Сообщение участникам:* ${
+      message ? escapeMarkdown(message) : "стандартное сообщение Synapse"
+    }\n`;
+  }
+
+  const keyboard = [
+    [
+      {
+        text: `${block ? "✅" : "⬜️"} Заблокировать комнату`,
+        callback_data: "room_delete_block",
+      },
+    ],
+    [
+      {
+        text: `${purge ? "✅" : "⬜️"} Очистить из базы данных`,
+        callback_data: "room_delete_purge",
+      },
+    ],
+    [
+      {
+        text: `${replacement ? "✅" : "⬜️"} Создать комнату для выселенных`,
+        callback_data: "room_delete_replacement",
+      },
+    ],
+  ];
+  if (replacement) {
+    keyboard.push([
+      {
+        text: "✏️ Сообщение участникам",
+        callback_data: "room_delete_message",
+      },
+    ]);
+  }
+  keyboard.push([
+    { text: "➡️ Продолжить", callback_data: "room_delete_confirm" },
+  ]);
+  keyboard.push([{ text: "❌ Отмена", callback_data: `room_${roomId}` }]);
+
+  return sendOrEdit(chatId, messageId, text, {
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: keyboard },
+  });
+}
+
+async function performRoomDeletion(chatId, messageId, adminUser, roomDelete) {
+  const { roomId, block, purge, replacement, message } = roomDelete;
+
+  await bot.editMessageText(`🔄 Удаление комнаты ${roomId}...`, {
+    chat_id: chatId,
+    message_id: messageId,
+  });
+
+  const options = { block, purge };
+  if (replacement) {
+    // Комнату для выселенных должен создать локальный пользователь —
+    // используем владельца токена бота
+    options.new_room_user_id = await matrixClient.getOwnUserId();
+    options.room_name = REPLACEMENT_ROOM_NAME;
+    if (message) {
+      options.message = message;
+    }
+  }
+
+  const deleteId = await matrixClient.deleteRoom(roomId, options);
+  logAdminAction(
+    adminUser,
+    `Запущено удаление комнаты (блокировка: ${block ? "да" : "нет"}, очистка: ${
+      purge ? "да" : "нет"
+    }), задача ${deleteId}`,
+    roomId
+  );
+
+  const header = `🗑 *Удаление комнаты* \`${roomId}\`\n\n`;
+  let text;
+  try {
+    const result = await pollJobStatus(
+      () => matrixClient.getRoomDeleteStatus(deleteId),
+      (status) => status.status === "complete" || status.status === "failed",
+      (status) =>
+        `${header}Статус: ${
+          ROOM_DELETE_STATUS_LABELS[status.status] || status.status
+        }`,
+      (progress) =>
+        bot.editMessageText(progress, {
+          chat_id: chatId,
+          message_id: messageId,
+          parse_mode: "Markdown",
+        })
+    );
+
+    const shutdown = result.shutdown_room || {};
+    text = `${header}Статус: ${ROOM_DELETE_STATUS_LABELS[result.status]}\n`;
+    if (result.error) {
+      text += `Ошибка: ${escapeMarkdown(result.error)}\n`;
+    }
+    text += `Удалено участников: ${(shutdown.kicked_users || []).length}\n`;
+    text += `Не удалось удалить: ${
+      (shutdown.failed_to_kick_users || []).length
+    }\n`;
+    text += `Снято адресов: ${(shutdown.local_aliases || []).length}\n`;
+    if (shutdown.new_room_id) {
+      text += `Комната для выселенных: \`${shutdown.new_room_id}\`\n`;
+    }
+  } catch (error) {
+    text = `${header}❌ Ошибка: ${escapeMarkdown(error.message)}`;
+  }
+
+  await bot.editMessageText(text, {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: "Markdown",
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: "🏠 К списку комнат", callback_data: "rooms" }],
+        [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+      ],
+    },
+  });
+}
+
+// Сортировки списка комнат (по убыванию). order_by=size в Synapse считает
+// размер комнаты по числу участников.
+const ROOM_SORT_OPTIONS = [
+  { value: "size", label: "📦 Размер" },
+  { value: "joined_members", label: "👥 Участники" },
+  { value: "joined_local_members", label: "🏡 Локальные" },
+  { value: "state_events", label: "📜 События" },
+];
+
+// Загружает страницу списка комнат; Synapse сам ищет и сортирует. Начало
+// каждой страницы берется из next_batch/prev_batch соседних страниц, которые
+// хранятся в batches по номеру страницы.
+async function loadRoomBrowserPage(roomBrowser) {
+  const result = await matrixClient.getRooms({
+    from: roomBrowser.batches[roomBrowser.page],
+    limit: ROOMS_PER_PAGE,
+    orderBy: roomBrowser.orderBy,
+    searchTerm: roomBrowser.searchTerm,
+  });
+
+  roomBrowser.rooms = result.rooms || [];
+  roomBrowser.total = result.total_rooms || 0;
+  roomBrowser.nextBatch = result.next_batch;
+  if (result.next_batch !== undefined && result.next_batch !== null) {
+    roomBrowser.batches[roomBrowser.page + 1] = result.next_batch;
+  }
+  if (
+    roomBrowser.page > 0 &&
+    result.prev_batch !== undefined &&
+    result.prev_batch !== null
+  ) {
+    roomBrowser.batches[roomBrowser.page - 1] = result.prev_batch;
+  }
+  return roomBrowser;
+}
+
+function createRoomBrowserKeyboard(roomBrowser) {
+  const { rooms, page, orderBy, searchTerm, nextBatch } = roomBrowser;
+  const keyboard = [];
+
+  // Кнопки сортировки по две в ряд, чтобы подписи не обрезались
+  for (let i = 0; i < ROOM_SORT_OPTIONS.length; i += 2) {
+    keyboard.push(
+      ROOM_SORT_OPTIONS.slice(i, i + 2).map((option) => ({
+        text: `${option.value === orderBy ? "✅ " : ""}${option.label}`,
+        callback_data: `rooms_sort_${option.value}`,
+      }))
+    );
+  }
+
+  // Добавляем кнопки комнат
+  rooms.forEach((room) => {
+    keyboard.push([
+      {
+        text: `🏠 ${formatRoomTitle(room)} (👥 ${room.joined_members})`,
+        callback_data: `room_${room.room_id}`,
+      },
+    ]);
+  });
+
+  // Добавляем кнопки навигации
+  const navRow = [];
+  if (page > 0) {
+    navRow.push({
+      text: "◀️ Назад",
+      callback_data: `rooms_page_${page - 1}`,
+    });
+  }
+  if (nextBatch !== undefined && nextBatch !== null) {
+    navRow.push({
+      text: "Далее ▶️",
+      callback_data: `rooms_page_${page + 1}`,
+    });
+  }
+  if (navRow.length > 0) {
+    keyboard.push(navRow);
+  }
+
+  const searchRow = [
+    { text: "🔍 Поиск комнат", callback_data: "rooms_search" },
+  ];
+  if (searchTerm) {
+    searchRow.push({ text: "✖️ Сбросить поиск", callback_data: "rooms_reset" });
+  }
+  keyboard.push(searchRow);
+  keyboard.push([
+    { text: "🚫 Заблокированные комнаты", callback_data: "rooms_blocked" },
+  ]);
+
+  // Добавляем кнопку возврата
+  keyboard.push([{ text: "🔙 В главное меню", callback_data: "back_to_menu" }]);
+
+  return { reply_markup: { inline_keyboard: keyboard } };
+}
+
+async function showRoomBrowser(chatId, messageId, roomBrowser) {
+  const { rooms, page, total, orderBy, searchTerm } = roomBrowser;
+  const sort = ROOM_SORT_OPTIONS.find((option) => option.value === orderBy);
+
+  let text = `🏠 *Комнаты на сервере* (всего ${total})\n\nСортировка: ${
+    sort ? sort.label : orderBy
+  }\n`;
+  if (searchTerm) {
+    text += `Поиск: "${escapeMarkdown(searchTerm)}"\n`;
+  }
+  text += "\n";
+  if (rooms.length === 0) {
+    text += searchTerm
+      ? "Комнаты, соответствующие запросу, не найдены."
+      : "На сервере нет комнат.";
+  }
+  text = joinLinesWithinLimit(
+    text,
+    rooms.map(
+      (room, offset) =>
+        `${page * ROOMS_PER_PAGE + offset + 1}. ${escapeMarkdown(
+          room.name || "Без названия"
+        )}\n   └ ${
+          room.canonical_alias
+            ? escapeMarkdown(room.canonical_alias)
+            : "без адреса"
+        }, участников: ${room.joined_members} (локальных: ${
+          room.joined_local_members
+        }), событий состояния: ${room.state_events}\n`
+    )
+  );
+
+  await sendOrEdit(chatId, messageId, text, {
+    parse_mode: "Markdown",
+    ...createRoomBrowserKeyboard(roomBrowser),
+  });
+}
+
+async function openRoomBrowser(chatId, messageId, patch) {
+  const state = userStates.get(chatId);
+  const roomBrowser = {
+    orderBy: ROOM_SORT_OPTIONS[0].value,
+    searchTerm: null,
+    ...(state && state.room_browser),
+    ...patch,
+  };
+  // Новая сортировка или поиск начинают список заново; без сохраненного
+  // начала страницы (например, после сброса состояния) тоже начинаем с первой
+  if (
+    roomBrowser.page === 0 ||
+    !roomBrowser.batches ||
+    roomBrowser.batches[roomBrowser.page] === undefined
+  ) {
+    roomBrowser.page = 0;
+    roomBrowser.batches = [0];
+  }
+
+  await loadRoomBrowserPage(roomBrowser);
+  updateUserState(chatId, {
+    room_browser: roomBrowser,
+    user_rooms: null,
+    awaiting_input: null,
+  });
+  await showRoomBrowser(chatId, messageId, roomBrowser);
+}
+
+const MEDIA_PER_PAGE = 10;
+
+function sortUserMedia(media, sort) {
+  return media.sort((a, b) =>
+    sort === "size"
+      ? (b.media_length || 0) - (a.media_length || 0)
+      : (b.created_ts || 0) - (a.created_ts || 0)
+  );
+}
+
+async function showUserMedia(chatId, messageId, mediaState) {
+  const { userId, items, sort, page } = mediaState;
+  const totalBytes = items.reduce((sum, m) => sum + (m.media_length || 0), 0);
+  const startIndex = page * MEDIA_PER_PAGE;
+  const endIndex = Math.min(startIndex + MEDIA_PER_PAGE, items.length);
+
+  let text = `🖼 *Медиафайлы пользователя* \`${userId}\`\n\nФайлов: ${
+    items.length
+  }, общий объем: ${formatBytes(totalBytes)}\nСортировка: ${
+    sort === "size" ? "по размеру" : "по дате"
+  }\n\n`;
+  if (items.length === 0) {
+    text += "Пользователь не загружал медиафайлы.";
+  }
+  text = joinLinesWithinLimit(
+    text,
+    items.slice(startIndex, endIndex).map((media, offset) => {
+      const quarantined = media.quarantined_by ? " 🚫 карантин" : "";
+      return `${startIndex + offset + 1}. ${escapeMarkdown(
+        media.upload_name || media.media_id
+      )}${quarantined}\n   └ ${formatBytes(
+        media.media_length || 0
+      )}, ${escapeMarkdown(
+        media.media_type || "тип неизвестен"
+      )}, ${formatTimestamp(media.created_ts)}\n`;
+    })
+  );
+
+  const keyboard = [
+    [
+      {
+        text: `${sort === "size" ? "✅ " : ""}📦 По размеру`,
+        callback_data: "user_media_sort_size",
+      },
+      {
+        text: `${sort === "date" ? "✅ " : ""}📅 По дате`,
+        callback_data: "user_media_sort_date",
+      },
+    ],
+  ];
+
+  const navRow = [];
+  if (page > 0) {
+    navRow.push({
+      text: "◀️ Назад",
+      callback_data: `user_media_page_${page - 1}`,
+    });
+  }
+  if (endIndex < items.length) {
+    navRow.push({
+      text: "Далее ▶️",
+      callback_data: `user_media_page_${page + 1}`,
+    });
+  }
+  if (navRow.length > 0) {
+    keyboard.push(navRow);
+  }
+
+  if (items.length > 0) {
+    keyboard.push([
+      { text: "🗑 Удалить все медиа", callback_data: "user_media_purge" },
+    ]);
+  }
+  keyboard.push([{ text: "🔙 Назад", callback_data: `userinfo_${userId}` }]);
+
+  await bot.editMessageText(text, {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: keyboard },
+  });
+}
+
+async function loadUserMedia(chatId, userId, sort = "date") {
+  const items = sortUserMedia(await matrixClient.getAllUserMedia(userId), sort);
+  return updateUserState(chatId, {
+    user_media: { userId, items, sort, page: 0 },
+  }).user_media;
+}
+
+// Удаляет все медиафайлы пользователя порциями, пока они не закончатся
+async function purgeUserMedia(userId) {
+  let deleted = 0;
+  for (;;) {
+    const result = await matrixClient.deleteUserMedia(userId);
+    if (!result.total) {
+      return deleted;
+    }
+    deleted += result.total;
+  }
+}
+
+const THREEPID_MEDIUM_LABELS = {
+  email: "📧",
+  msisdn: "📞",
+};
+
+// Определяет тип контакта по адресу и приводит его к виду, который хранит Synapse
+function parseThreepid(input) {
+  const value = input.trim();
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+    return { medium: "email", address: value.toLowerCase() };
+  }
+  const digits = value.replace(/[\s()+-]/g, "");
+  if (/^\d{7,15}$/.test(digits)) {
+    return { medium: "msisdn", address: digits };
+  }
+  return null;
+}
+
+async function showThreepids(chatId, messageId, userId) {
+  const userInfo = await matrixClient.getUserInfo(userId);
+  const threepids = userInfo.threepids || [];
+  updateUserState(chatId, {
+    awaiting_input: null,
+    threepids: { userId, list: threepids },
+  });
+
+  let text = `📧 *Email и телефоны* \`${userId}\`\n\n`;
+  if (threepids.length === 0) {
+    text += "Контакты не привязаны.";
+  }
+  threepids.forEach((threepid, index) => {
+    text += `${index + 1}. ${
+      THREEPID_MEDIUM_LABELS[threepid.medium] || "❔"
+    } ${escapeMarkdown(threepid.address)}${
+      threepid.validated_at ? "" : " (не подтвержден)"
+    }\n`;
+  });
+
+  const keyboard = threepids.map((threepid, index) => [
+    {
+      text: `🗑 ${threepid.address}`,
+      callback_data: `threepids_del_${index}`,
+    },
+  ]);
+  keyboard.push([
+    { text: "➕ Email", callback_data: "threepids_add_email" },
+    { text: "➕ Телефон", callback_data: "threepids_add_msisdn" },
+  ]);
+  keyboard.push([{ text: "🔙 Назад", callback_data: `userinfo_${userId}` }]);
+
+  await sendOrEdit(chatId, messageId, text, {
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: keyboard },
+  });
+}
+
+// PUT v2 users заменяет список контактов целиком, поэтому передаем полный список
+async function saveThreepids(userId, threepids) {
+  await matrixClient.createOrUpdateUser(userId, {
+    threepids: threepids.map(({ medium, address }) => ({ medium, address })),
+  });
+}
+
+async function showExternalIds(chatId, messageId, userId) {
+  const userInfo = await matrixClient.getUserInfo(userId);
+  const externalIds = userInfo.external_ids || [];
+  updateUserState(chatId, {
+    awaiting_input: null,
+    external_ids: { userId, list: externalIds },
+  });
+
+  let text = `🔗 *SSO-привязки* \`${userId}\`\n\n`;
+  if (externalIds.length === 0) {
+    text += "Внешние ID не привязаны.";
+  }
+  externalIds.forEach((externalId, index) => {
+    text += `${index + 1}. ${escapeMarkdown(externalId.auth_provider)}: \`${
+      externalId.external_id
+    }\`\n`;
+  });
+
+  const keyboard = externalIds.map((externalId, index) => [
+    {
+      text: `🗑 ${externalId.auth_provider}: ${externalId.external_id}`,
+      callback_data: `sso_del_${index}`,
+    },
+  ]);
+  keyboard.push([
+    { text: "➕ Привязать внешний ID", callback_data: "sso_add" },
+  ]);
+  keyboard.push([{ text: "🔙 Назад", callback_data: `userinfo_${userId}` }]);
+
+  await sendOrEdit(chatId, messageId, text, {
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: keyboard },
+  });
+}
+
+// PUT v2 users заменяет список внешних ID целиком, поэтому передаем полный список
+async function saveExternalIds(userId, externalIds) {
+  await matrixClient.createOrUpdateUser(userId, {
+    external_ids: externalIds.map(({ auth_provider, external_id }) => ({
+      auth_provider,
+      external_id,
+    })),
+  });
+}
+
+const RESTRICTION_ACTIONS = {
+  lock: {
+    title: "🔒 Блокировка учетной записи",
+    description:
+      "Пользователь не сможет войти, а все его текущие сеансы перестанут работать. Данные и членство в комнатах сохранятся.",
+    log: "Пользователь заблокирован",
+    apply: (userId) =>
+      matrixClient.createOrUpdateUser(userId, { locked: true }),
+  },
+  unlock: {
+    log: "Пользователь разблокирован",
+    apply: (userId) =>
+      matrixClient.createOrUpdateUser(userId, { locked: false }),
+  },
+  suspend: {
+    title: "⏸ Приостановка учетной записи",
+    description:
+      "Пользователь сможет входить и читать, но не сможет отправлять сообщения, приглашать, вступать в комнаты и менять профиль.",
+    log: "Пользователь приостановлен",
+    apply: (userId) => matrixClient.setUserSuspended(userId, true),
+  },
+  unsuspend: {
+    log: "Приостановка снята",
+    apply: (userId) => matrixClient.setUserSuspended(userId, false),
+  },
+};
+
+async function applyRestriction(chatId, messageId, adminUser, action, userId) {
+  await RESTRICTION_ACTIONS[action].apply(userId);
+  logAdminAction(adminUser, RESTRICTION_ACTIONS[action].log, userId);
+
+  const patch =
+    action === "lock" || action === "unlock"
+      ? { locked: action === "lock" }
+      : { suspended: action === "suspend" };
+  updateCachedSearchUser(chatId, userId, patch);
+
+  await showUserInfo(chatId, messageId, userId);
+}
+
+function formatTokenUses(token) {
+  return `${token.completed}/${
+    token.uses_allowed === null ? "∞" : token.uses_allowed
+  }`;
+}
+
+function formatTokenExpiry(token) {
+  if (token.expiry_time === null) {
+    return "бессрочно";
+  }
+  const expired = token.expiry_time < Date.now();
+  return `${expired ? "⌛ истек " : "до "}${formatTimestamp(
+    token.expiry_time
+  )}`;
+}
+
+async function showRegistrationTokens(chatId, messageId) {
+  const tokens = await matrixClient.getRegistrationTokens();
+  updateUserState(chatId, {
+    awaiting_input: null,
+    reg_tokens: tokens.map((t) => t.token),
+  });
+
+  let text = `🎟 *Токены регистрации* (всего ${tokens.length})\n\n`;
+  if (tokens.length === 0) {
+    text += "Токенов пока нет.";
+  }
+  text = joinLinesWithinLimit(
+    text,
+    tokens.map(
+      (token, index) =>
+        `${index + 1}. \`${token.token}\`\n   └ использовано ${formatTokenUses(
+          token
+        )}, ожидает ${token.pending}, ${formatTokenExpiry(token)}\n`
+    )
+  );
+
+  const keyboard = tokens
+    .slice(0, 30)
+    .map((token, index) => [
+      { text: `🎟 ${token.token}`, callback_data: `regtoken_open_${index}` },
+    ]);
+  keyboard.push([
+    { text: "➕ Создать токен", callback_data: "regtoken_create" },
+  ]);
+  keyboard.push([{ text: "🔙 В главное меню", callback_data: "back_to_menu" }]);
+
+  await sendOrEdit(chatId, messageId, text, {
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: keyboard },
+  });
+}
+
+// Карточка токена; действия над ним берут токен из состояния,
+// так как значение токена может не поместиться в callback_data
+async function showRegistrationToken(chatId, messageId, tokenValue) {
+  const token = await matrixClient.getRegistrationToken(tokenValue);
+  updateUserState(chatId, { awaiting_input: null, current_reg_token: token });
+
+  const text = `
+🎟 *Токен регистрации*
+
+*Токен:* \`${token.token}\`
+*Использовано:* ${formatTokenUses(token)}
+*Ожидают завершения регистрации:* ${token.pending}
+*Срок действия:* ${formatTokenExpiry(token)}
+    `;
+
+  await sendOrEdit(chatId, messageId, text, {
+    parse_mode: "Markdown",
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: "📤 Поделиться", callback_data: "regtoken_share" }],
+        [
+          {
+            text: "✏️ Лимит использований",
+            callback_data: "regtoken_edit_uses",
+          },
+          { text: "✏️ Срок действия", callback_data: "regtoken_edit_expiry" },
+        ],
+        [{ text: "🗑 Удалить", callback_data: "regtoken_delete" }],
+        [{ text: "🔙 К списку токенов", callback_data: "regtokens" }],
+      ],
+    },
+  });
+}
+
+// Показывает шаг мастера создания токена и ждет ввода для этого шага
+function showRegistrationTokenStep(chatId, messageId, draft) {
+  const cancelRow = [{ text: "❌ Отмена", callback_data: "regtokens" }];
+  let text;
+  let keyboard;
+
+  if (draft.step === "value") {
+    text =
+      "🎟 *Новый токен регистрации*\n\n*Шаг 1/3:* введите значение токена (латинские буквы, цифры и символы `._~-`, до 64 символов) или сгенерируйте случайное.";
+    keyboard = [
+      [{ text: "🎲 Случайный токен", callback_data: "regtoken_create_random" }],
+      cancelRow,
+    ];
+  } else if (draft.step === "uses") {
+    text =
+      "🎟 *Новый токен регистрации*\n\n*Шаг 2/3:* сколько раз можно использовать токен? Введите число.";
+    keyboard = [
+      [
+        {
+          text: "♾ Без ограничений",
+          callback_data: "regtoken_create_unlimited",
+        },
+      ],
+      cancelRow,
+    ];
+  } else {
+    text =
+      "🎟 *Новый токен регистрации*\n\n*Шаг 3/3:* сколько дней действует токен? Введите число дней.";
+    keyboard = [
+      [{ text: "♾ Бессрочно", callback_data: "regtoken_create_noexpiry" }],
+      cancelRow,
+    ];
+  }
+
+  updateUserState(chatId, {
+    reg_token_draft: draft,
+    awaiting_input: { type: "regtoken_create" },
+  });
+
+  return sendOrEdit(chatId, messageId, text, {
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: keyboard },
+  });
+}
+
+// Применяет ответ на текущий шаг мастера; после последнего шага создает токен
+async function advanceRegistrationToken(
+  chatId,
+  messageId,
+  adminUser,
+  draft,
+  value
+) {
+  if (draft.step === "value") {
+    draft.token = value;
+    draft.step = "uses";
+  } else if (draft.step === "uses") {
+    draft.uses_allowed = value;
+    draft.step = "expiry";
+  } else {
+    draft.expiry_time = value;
+
+    const tokenData = {
+      uses_allowed: draft.uses_allowed,
+      expiry_time: draft.expiry_time,
+    };
+    if (draft.token) {
+      tokenData.token = draft.token;
+    } else {
+      tokenData.length = 16;
+    }
+
+    const created = await matrixClient.createRegistrationToken(tokenData);
+    logAdminAction(adminUser, "Создан токен регистрации", created.token);
+    updateUserState(chatId, { reg_token_draft: null });
+    await showRegistrationToken(chatId, messageId, created.token);
+    return;
+  }
+
+  await showRegistrationTokenStep(chatId, messageId, draft);
+}
+
+// Разбирает ввод для лимита использований и срока действия токена
+function parseTokenNumber(input) {
+  const value = input.trim();
+  return /^\d+$/.test(value) && parseInt(value) > 0 ? parseInt(value) : null;
+}
+
+function daysToExpiryTime(days) {
+  return Date.now() + days * 24 * 60 * 60 * 1000;
+}
+
+async function updateCurrentToken(chatId, messageId, adminUser, tokenData) {
+  const state = userStates.get(chatId);
+  const token = state.current_reg_token.token;
+  await matrixClient.updateRegistrationToken(token, tokenData);
+  logAdminAction(adminUser, "Изменен токен регистрации", token);
+  await showRegistrationToken(chatId, messageId, token);
+}
+
+const CSV_IMPORT_COLUMNS = [
+  "localpart",
+  "displayname",
+  "email",
+  "admin",
+  "password",
+];
+const CSV_IMPORT_MAX_SIZE = 1024 * 1024;
+
+// Разбирает CSV по RFC 4180 (кавычки, переводы строк внутри полей).
+// Разделитель — запятая или точка с запятой (так сохраняет Excel в русской локали).
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, "");
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter =
+    firstLine.split(";").length > firstLine.split(",").length ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Пустые строки (например, в конце файла) пропускаем
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+// rawColumns — индексы колонок, значения которых нельзя менять (например,
+// пароли): их не предваряем апострофом, а всегда берем в кавычки
+function toCsv(rows, { rawColumns = [] } = {}) {
+  return rows
+    .map((row) =>
+      row
+        .map((value, index) => {
+          let text = value === null || value === undefined ? "" : String(value);
+          if (rawColumns.includes(index)) {
+            return `"${text.replace(/"/g, '""')}"`;
+          }
+          // Файл открывают в таблицах: значение с = + - @ в начале
+          // выполнилось бы как формула, поэтому превращаем его в текст
+          if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+          }
+          return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(",")
+    )
+    .join("\r\n");
+}
+
+function parseCsvBoolean(value) {
+  const normalized = value.trim().toLowerCase();
+  if (["", "0", "false", "no", "нет"].includes(normalized)) {
+    return false;
+  }
+  if (["1", "true", "yes", "да"].includes(normalized)) {
+    return true;
+  }
+  return null;
+}
+
+// Проверяет строки CSV и делит их на пригодные для импорта и пропущенные
+function validateCsvImport(rows, existingUserIds, serverName) {
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const missing = CSV_IMPORT_COLUMNS.filter((c) => !header.includes(c));
+  if (missing.length > 0) {
+    throw new Error(
+      `В заголовке CSV нет колонок: ${missing.join(
+        ", "
+      )}. Ожидаются: ${CSV_IMPORT_COLUMNS.join(", ")}`
+    );
+  }
+
+  const valid = [];
+  const skipped = [];
+  const seenUserIds = new Set();
+
+  rows.slice(1).forEach((values, index) => {
+    const record = {};
+    CSV_IMPORT_COLUMNS.forEach((column) => {
+      record[column] = (values[header.indexOf(column)] || "").trim();
+    });
+    record.line = index + 2;
+    record.localpart = record.localpart.replace(/^@/, "").toLowerCase();
+    record.userId = `@${record.localpart}:${serverName}`;
+
+    const errors = [];
+    if (!/^[a-z0-9._=\-\/+]+$/.test(record.localpart)) {
+      errors.push("недопустимый localpart");
+    }
+    if (record.email) {
+      const threepid = parseThreepid(record.email);
+      if (!threepid || threepid.medium !== "email") {
+        errors.push("некорректный email");
+      } else {
+        record.email = threepid.address;
+      }
+    }
+    record.admin = parseCsvBoolean(record.admin);
+    if (record.admin === null) {
+      errors.push("admin должен быть true/false");
+    }
+    if (record.password && record.password.length < 8) {
+      errors.push("пароль короче 8 символов");
+    }
+    if (seenUserIds.has(record.userId)) {
+      errors.push("повтор в файле");
+    } else if (existingUserIds.has(record.userId)) {
+      errors.push("пользователь уже существует");
+    }
+    seenUserIds.add(record.userId);
+
+    if (errors.length > 0) {
+      skipped.push({ ...record, error: errors.join("; ") });
+    } else {
+      valid.push(record);
+    }
+  });
+
+  return { valid, skipped };
+}
+
+function isCsvDocument(document) {
+  return (
+    /\.csv$/i.test(document.file_name || "") ||
+    document.mime_type === "text/csv"
+  );
+}
+
+async function handleCsvImportDocument(msg) {
+  const chatId = msg.chat.id;
+  const document = msg.document;
+
+  if (document.file_size > CSV_IMPORT_MAX_SIZE) {
+    bot.sendMessage(chatId, "❌ Файл слишком большой (максимум 1 МБ).");
+    return;
+  }
+
+  const statusMessage = await bot.sendMessage(
+    chatId,
+    "🔄 Проверка CSV-файла..."
+  );
+
+  try {
+    const fileLink = await bot.getFileLink(document.file_id);
+    const response = await axios.get(fileLink, { responseType: "text" });
+    const rows = parseCsv(response.data);
+
+    if (rows.length < 2) {
+      throw new Error("Файл не содержит строк с пользователями");
+    }
+
+    const serverName = await matrixClient.getServerName();
+    const existingUserIds = new Set(
+      (await matrixClient.getAllUsers()).map((u) => u.name)
+    );
+    const { valid, skipped } = validateCsvImport(
+      rows,
+      existingUserIds,
+      serverName
+    );
+
+    userStates.set(chatId, { csv_import: { valid, skipped } });
+
+    let text = `📥 *Импорт пользователей*\n\nСтрок в файле: ${
+      rows.length - 1
+    }\n✅ Будут созданы: ${valid.length}\n⚠️ Пропущены: ${skipped.length}\n`;
+    // Список создаваемых пользователей занимает не больше половины сообщения,
+    // остальное место достается пропущенным строкам
+    if (valid.length > 0) {
+      text += joinLinesWithinLimit(
+        "\n*Будут созданы:*\n",
+        valid.map(
+          (record) => `• \`${record.userId}\`${record.admin ? " 👑" : ""}\n`
+        ),
+        { maxLines: 15, limit: TELEGRAM_MESSAGE_LIMIT / 2 }
+      );
+    }
+    if (skipped.length > 0) {
+      text += joinLinesWithinLimit(
+        "\n*Пропущены:*\n",
+        skipped.map(
+          (record) =>
+            `• строка ${record.line}: ${escapeMarkdown(
+              record.localpart || "—"
+            )} — ${record.error}\n`
+        ),
+        { maxLines: 15, limit: TELEGRAM_MESSAGE_LIMIT - text.length }
+      );
+    }
+
+    const keyboard = [];
+    if (valid.length > 0) {
+      keyboard.push([
+        {
+          text: `✅ Создать пользователей (${valid.length})`,
+          callback_data: "csv_import_confirm",
+        },
+      ]);
+    }
+    keyboard.push([{ text: "❌ Отмена", callback_data: "back_to_menu" }]);
+
+    await bot.editMessageText(text, {
+      chat_id: chatId,
+      message_id: statusMessage.message_id,
+      parse_mode: "Markdown",
+      reply_markup: { inline_keyboard: keyboard },
+    });
+  } catch (error) {
+    await bot.editMessageText(
+      `❌ *Ошибка импорта*\n\nОшибка: ${error.message}`,
+      {
+        chat_id: chatId,
+        message_id: statusMessage.message_id,
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+          ],
+        },
+      }
+    );
+  }
+}
+
+// Создает пользователей из проверенного импорта, обновляя одно сообщение с прогрессом
+async function runCsvImport(chatId, messageId, adminUser, csvImport) {
+  const { valid, skipped } = csvImport;
+  const results = [];
+  let lastProgressUpdate = 0;
+
+  for (let i = 0; i < valid.length; i++) {
+    const record = valid[i];
+    const password = record.password || generatePassword();
+
+    try {
+      // Учетная запись могла появиться после проверки файла — не перезаписываем
+      if (await matrixClient.userExists(record.userId)) {
+        throw new Error("пользователь уже существует");
+      }
+
+      const userData = { password, admin: record.admin };
+      if (record.displayname) {
+        userData.displayname = record.displayname;
+      }
+      if (record.email) {
+        userData.threepids = [{ medium: "email", address: record.email }];
+      }
+
+      await matrixClient.createOrUpdateUser(record.userId, userData);
+      logAdminAction(
+        adminUser,
+        "Пользователь создан (импорт CSV)",
+        record.userId
+      );
+      results.push({ ...record, password, status: "created", error: "" });
+    } catch (error) {
+      results.push({
+        ...record,
+        password: "",
+        status: "error",
+        error: error.message,
+      });
+    }
+
+    // Telegram ограничивает частоту правок, поэтому обновляем прогресс не чаще раза в 2 секунды
+    if (Date.now() - lastProgressUpdate > 2000 || i === valid.length - 1) {
+      lastProgressUpdate = Date.now();
+      await bot
+        .editMessageText(
+          `🔄 Создание пользователей: ${i + 1}/${valid.length}\n✅ Создано: ${
+            results.filter((r) => r.status === "created").length
+          }\n❌ Ошибок: ${results.filter((r) => r.status === "error").length}`,
+          { chat_id: chatId, message_id: messageId }
+        )
+        .catch(() => {});
+    }
+  }
+
+  skipped.forEach((record) => {
+    results.push({ ...record, password: "", status: "skipped" });
+  });
+
+  const created = results.filter((r) => r.status === "created").length;
+  const failed = results.filter((r) => r.status === "error");
+
+  let text = `✅ *Импорт завершен*\n\nСоздано: ${created}\nОшибок: ${failed.length}\nПропущено при проверке: ${skipped.length}`;
+  failed.slice(0, 10).forEach((record) => {
+    text += `\n• \`${record.userId}\`: ${escapeMarkdown(record.error)}`;
+  });
+
+  await bot.editMessageText(text, {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: "Markdown",
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+      ],
+    },
+  });
+
+  const csv = toCsv(
+    [
+      [
+        "line",
+        "user_id",
+        "displayname",
+        "email",
+        "admin",
+        "password",
+        "status",
+        "error",
+      ],
+      ...results.map((r) => [
+        r.line,
+        r.userId,
+        r.displayname,
+        r.email,
+        r.admin === null ? "" : r.admin,
+        r.password,
+        r.status,
+        r.error,
+      ]),
+    ],
+    { rawColumns: [5] }
+  );
+
+  // Файл содержит пароли, поэтому, как и sendCredentials, отправляем его только
+  // в личный чат администратора и удаляем через PASSWORD_MESSAGE_TTL
+  try {
+    const sent = await bot.sendDocument(
+      adminUser.id,
+      Buffer.from(csv, "utf8"),
+      {
+        caption: `🔐 Результаты импорта с паролями. Сохраните файл: сообщение будет удалено через ${PASSWORD_MESSAGE_TTL} сек.\n\nПароли записаны без изменений. Остальные значения, начинающиеся с = + - @, предварены апострофом, чтобы таблица не выполнила их как формулу.`,
+      },
+      { filename: `import-result-${Date.now()}.csv`, contentType: "text/csv" }
+    );
+    setTimeout(() => {
+      bot.deleteMessage(adminUser.id, sent.message_id).catch(() => {});
+    }, PASSWORD_MESSAGE_TTL * 1000);
+
+    if (chatId !== adminUser.id) {
+      await bot.sendMessage(
+        chatId,
+        "🔐 Файл с результатами и паролями отправлен вам в личный чат с ботом."
+      );
+    }
+  } catch (error) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ Не удалось отправить файл с паролями в личный чат: ${error.message}\n\nНачните личный чат с ботом и сбросьте пароли созданных пользователей через /resetpw.`
+    );
+  }
+}
+
+// Время создания учетной записи в мс: API списка пользователей отдает
+// миллисекунды, а запрос одного пользователя — секунды
+function getCreationTimeMs(user) {
+  return user.creation_ts < 1e12 ? user.creation_ts * 1000 : user.creation_ts;
+}
+
+// Преобразует шаблон вида @spam* или bot?:example.com в регулярное выражение.
+// Шаблон без ":" сравнивается только с локальной частью ID.
+function createUserIdMatcher(pattern) {
+  const fullId = pattern.includes(":");
+  const source = pattern
+    .replace(/^@/, "")
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  const regex = new RegExp(`^${source}$`, "i");
+
+  return (user) => {
+    const userId = user.name.substring(1);
+    return regex.test(fullId ? userId : userId.split(":")[0]);
+  };
+}
+
+function showBulkDeactivateMenu(chatId, messageId) {
+  return sendOrEdit(
+    chatId,
+    messageId,
+    "🧹 *Массовая деактивация*\n\nВыберите фильтр пользователей. Перед выполнением будет показан пробный список (dry-run), а для запуска потребуется ввести фразу подтверждения.\n\n👑 Администраторы всегда пропускаются.",
+    {
+      parse_mode: "Markdown",
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: "🔤 По шаблону ID", callback_data: "bulk_filter_pattern" }],
+          [
+            {
+              text: "📅 По времени создания",
+              callback_data: "bulk_filter_created",
+            },
+          ],
+          [{ text: "❌ Отмена", callback_data: "back_to_menu" }],
+        ],
+      },
+    }
+  );
+}
+
+// Разбирает период «ГГГГ-ММ-ДД [ГГГГ-ММ-ДД]»; конец периода включается целиком
+function parseDateRange(input) {
+  const match = input
+    .trim()
+    .match(/^(\d{4}-\d{2}-\d{2})(?:\s+(\d{4}-\d{2}-\d{2}))?$/);
+  if (!match) {
+    return null;
+  }
+  const from = Date.parse(`${match[1]}T00:00:00`);
+  const to = match[2]
+    ? Date.parse(`${match[2]}T00:00:00`) + 24 * 60 * 60 * 1000
+    : Date.now();
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    return null;
+  }
+  return { from, to };
+}
+
+// Показывает пробный список и ждет ввода фразы подтверждения.
+// Администраторы и уже деактивированные пользователи исключаются, как в deactivate_menu.
+async function showBulkDeactivationPreview(
+  chatId,
+  messageId,
+  candidates,
+  filterDescription
+) {
+  const active = candidates.filter((u) => !u.deactivated);
+  const targets = active.filter((u) => !u.admin);
+  const skippedAdmins = active.length - targets.length;
+
+  let text = `🧹 *Пробный запуск (dry-run)*\n\nФильтр: ${escapeMarkdown(
+    filterDescription
+  )}\nБудут деактивированы: *${targets.length}*\n`;
+  if (skippedAdmins > 0) {
+    text += `👑 Пропущено администраторов: ${skippedAdmins}\n`;
+  }
+
+  if (targets.length === 0) {
+    userStates.delete(chatId);
+    await sendOrEdit(
+      chatId,
+      messageId,
+      text + "\nПод фильтр не попал ни один пользователь.",
+      {
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+          ],
+        },
+      }
+    );
+    return;
+  }
+
+  const phrase = `ДЕАКТИВИРОВАТЬ ${targets.length}`;
+  text = joinLinesWithinLimit(
+    text + "\n",
+    targets.map((u, index) => `${index + 1}. \`${u.name}\`\n`),
+    {
+      footer: `\n⚠️ Для запуска отправьте сообщение с фразой:\n\`${phrase}\``,
+      maxLines: 30,
+    }
+  );
+
+  userStates.set(chatId, {
+    bulk_deactivation: { userIds: targets.map((u) => u.name), phrase },
+    awaiting_input: { type: "bulk_confirm" },
+  });
+
+  await sendOrEdit(chatId, messageId, text, {
+    parse_mode: "Markdown",
+    reply_markup: {
+      inline_keyboard: [[{ text: "❌ Отмена", callback_data: "back_to_menu" }]],
+    },
+  });
+}
+
+async function runBulkDeactivation(chatId, adminUser, userIds) {
+  const progressMessage = await bot.sendMessage(
+    chatId,
+    `🔄 Деактивация: 0/${userIds.length}`
+  );
+  const failures = [];
+  let lastProgressUpdate = Date.now();
+
+  for (let i = 0; i < userIds.length; i++) {
+    try {
+      await matrixClient.deactivateUser(userIds[i]);
+      logAdminAction(
+        adminUser,
+        "Пользователь деактивирован (массово)",
+        userIds[i]
+      );
+    } catch (error) {
+      failures.push({ userId: userIds[i], error: error.message });
+    }
+
+    // Telegram ограничивает частоту правок, поэтому обновляем прогресс не чаще раза в 2 секунды
+    if (Date.now() - lastProgressUpdate > 2000) {
+      lastProgressUpdate = Date.now();
+      await bot
+        .editMessageText(`🔄 Деактивация: ${i + 1}/${userIds.length}`, {
+          chat_id: chatId,
+          message_id: progressMessage.message_id,
+        })
+        .catch(() => {});
+    }
+  }
+
+  const text = joinLinesWithinLimit(
+    `✅ *Массовая деактивация завершена*\n\nУспешно: ${
+      userIds.length - failures.length
+    }\nОшибок: ${failures.length}\n`,
+    failures.map(
+      ({ userId, error }) => `• \`${userId}\`: ${escapeMarkdown(error)}\n`
+    ),
+    { maxLines: 20 }
+  );
+
+  await bot.editMessageText(text, {
+    chat_id: chatId,
+    message_id: progressMessage.message_id,
+    parse_mode: "Markdown",
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+      ],
+    },
+  });
+}
+
+// Собирает активных пользователей без прав администратора, не заходивших N дней.
+// Никогда не входившие учитываются, если учетная запись старше порога.
+async function findInactiveUsers(days) {
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const users = (await matrixClient.getAllUsers()).filter(
+    (u) => !u.deactivated && !u.admin
+  );
+  const inactive = [];
+
+  for (const u of users) {
+    let lastSeen = u.last_seen_ts;
+    // Старые версии Synapse не отдают last_seen_ts в списке пользователей
+    if (lastSeen === undefined) {
+      lastSeen = (await matrixClient.getUserInfo(u.name)).last_seen_ts;
+    }
+
+    const reference = lastSeen || getCreationTimeMs(u);
+    if (reference < cutoff) {
+      inactive.push({ ...u, last_seen_ts: lastSeen || null });
+    }
+  }
+
+  return inactive.sort((a, b) => (a.last_seen_ts || 0) - (b.last_seen_ts || 0));
+}
+
+async function showInactiveReport(chatId, messageId, days) {
+  const users = await findInactiveUsers(days);
+  userStates.set(chatId, { inactive_report: { days, users } });
+
+  const text = joinLinesWithinLimit(
+    `💤 *Неактивные пользователи* (более ${days} дн.)\n\nНайдено: ${users.length}\n\n`,
+    users.map(
+      (u, index) =>
+        `${index + 1}. \`${u.name}\` — ${
+          u.last_seen_ts ? formatTimestamp(u.last_seen_ts) : "никогда не входил"
+        }\n`
+    ),
+    {
+      footer: users.length > 40 ? "\nПолный список — в экспорте.\n" : "",
+      maxLines: 40,
+    }
+  );
+
+  const keyboard = [];
+  if (users.length > 0) {
+    keyboard.push([
+      { text: "📄 Экспорт в CSV", callback_data: "inactive_export" },
+    ]);
+    keyboard.push([
+      {
+        text: "🧹 Деактивировать всех из списка",
+        callback_data: "inactive_deactivate",
+      },
+    ]);
+  }
+  keyboard.push([{ text: "🔙 В главное меню", callback_data: "back_to_menu" }]);
+
+  await bot.editMessageText(text, {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: keyboard },
+  });
+}
+
+const AVATAR_MAX_SIZE = 10 * 1024 * 1024;
+
+function showProfileMenu(chatId, messageId, userId) {
+  updateUserState(chatId, { awaiting_input: null });
+
+  return sendOrEdit(
+    chatId,
+    messageId,
+    `✏️ *Редактирование профиля*\n\n\`${userId}\`\n\nЧто изменить?`,
+    {
+      parse_mode: "Markdown",
+      reply_markup: {
+        inline_keyboard: [
+          [
+            {
+              text: "✏️ Отображаемое имя",
+              callback_data: `profile_name_${userId}`,
+            },
+          ],
+          [
+            { text: "🖼 Аватар", callback_data: `profile_avatar_${userId}` },
+            {
+              text: "🗑 Удалить аватар",
+              callback_data: `profile_noavatar_${userId}`,
+            },
+          ],
+          [{ text: "🔙 Назад", callback_data: `userinfo_${userId}` }],
+        ],
+      },
+    }
+  );
+}
+
+async function handleAvatarUpload(msg, userId, fileId, contentType, fileName) {
+  const chatId = msg.chat.id;
+  const size = msg.photo
+    ? msg.photo[msg.photo.length - 1].file_size
+    : msg.document.file_size;
+
+  if (size > AVATAR_MAX_SIZE) {
+    bot.sendMessage(chatId, "❌ Изображение слишком большое (максимум 10 МБ).");
+    return;
+  }
+
+  updateUserState(chatId, { awaiting_input: null });
+  const statusMessage = await bot.sendMessage(
+    chatId,
+    `🔄 Загрузка аватара для ${userId}...`
+  );
+
+  try {
+    const fileLink = await bot.getFileLink(fileId);
+    const file = await axios.get(fileLink, { responseType: "arraybuffer" });
+    const contentUri = await matrixClient.uploadMedia(
+      Buffer.from(file.data),
+      contentType,
+      fileName
+    );
+    await matrixClient.createOrUpdateUser(userId, { avatar_url: contentUri });
+    logAdminAction(msg.from, `Аватар изменен на ${contentUri}`, userId);
+
+    await showUserInfo(chatId, statusMessage.message_id, userId);
+  } catch (error) {
+    await bot.editMessageText(`❌ Ошибка: ${error.message}`, {
+      chat_id: chatId,
+      message_id: statusMessage.message_id,
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: "🔙 Назад", callback_data: `profile_${userId}` }],
+        ],
+      },
+    });
+  }
+}
+
+// Обработчики команд с авторизацией
+bot.onText(
+  /\/start/,
+  requireAuth((msg) => {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    const userInfo = `${user.first_name || ""} ${user.last_name || ""}`.trim();
+
+    const welcomeMessage = `
+🤖 *Бот администрирования Matrix Synapse*
+
+Добро пожаловать, ${userInfo}!
+
+Этот бот поможет вам управлять сервером Matrix Synapse.
+
+Доступные действия:
+• Просмотр всех пользователей сервера
+• Поиск конкретных пользователей
+• Создание новых пользователей
+• Управление токенами регистрации
+• Деактивация выбранных пользователей
+• Просмотр информации о вашей авторизации
+
+Выберите действие из меню ниже:
+    `;
+
+    bot.sendMessage(chatId, welcomeMessage, {
+      parse_mode: "Markdown",
+      ...createMainKeyboard(),
     });
   })
 );
 
-bot.onText(
-  /\/help/,
-  requireAuth((msg) => {
-    const chatId = msg.chat.id;
-    const helpMessage = `
-📖 *Справка - Бот администрирования Matrix Synapse*
+bot.onText(
+  /\/help/,
+  requireAuth((msg) => {
+    const chatId = msg.chat.id;
+    const helpMessage = `
+📖 *Справка - Бот администрирования Matrix Synapse*
+
+*Команды:*
+• /start - Показать главное меню
+• /help - Показать эту справку
+• /menu - Вернуться в главное меню
+• /whoami - Показать информацию о вас
+• /search <запрос> - Быстрый поиск пользователей
+• /resetpw <@user:server> - Сбросить пароль пользователя
+• /ratelimits - Пользователи с переопределенными ограничениями частоты
+• /ip <адрес> - Найти пользователей, подключавшихся с IP-адреса
+• /find <email или телефон> - Найти пользователя по контакту
+• /sso <провайдер> <внешний ID> - Найти пользователя по SSO-привязке
+• /bulkdeactivate - Массовая деактивация по фильтру
+• /inactive <дни> - Пользователи, не заходившие указанное число дней
+• /blockroom <!id:server> - Заблокировать комнату (без аргумента — список заблокированных)
+
+*Функции:*
+• Просмотр всех пользователей на вашем Matrix сервере
+• Поиск пользователей по имени, отображаемому имени или ID пользователя
+• Создание учетных записей пользователей
+• Массовый импорт: отправьте боту CSV-файл с колонками localpart, displayname, email, admin, password
+• Деактивация учетных записей пользователей
+• Теневой бан спамеров (👻) без уведомления пользователя
+• Токены регистрации: создание, изменение, удаление и отправка приглашений
+• Обратимая блокировка (🔒) и приостановка (⏸) учетных записей
+• Управление устройствами и сеансами пользователя
+• Просмотр комнат, в которых состоит пользователь
+• Список комнат сервера с поиском и сортировкой по размеру
+• Удаление комнат с блокировкой, очисткой истории и отслеживанием прогресса
+• Блокировка и разблокировка комнат, список заблокированных комнат
+• Назначение администратора комнаты и добавление пользователей в комнаты
+• Просмотр и удаление медиафайлов пользователя
+• Просмотр подробной информации о пользователях
+• Изменение отображаемого имени и аватара пользователя
+• Удаление всех сообщений пользователя с отслеживанием прогресса
+• Навигация по спискам пользователей с пагинацией
+• Безопасный контроль доступа
+
+*Советы по поиску:*
+• Поиск по части имени: "иван"
+• Поиск по отображаемому имени: "Иван Иванов"
+• Поиск по точному ID пользователя: "@user:example.com"
+• Поиск по email: /find email@example.com
+• Поиск нечувствителен к регистру
+
+*Безопасность:*
+• Только авторизованные пользователи могут получить доступ к этому боту
+• Все попытки доступа регистрируются
+• Авторизация пользователей проверяется для каждого действия
+• Администраторы защищены от деактивации
+• Права администратора меняются только после двойного подтверждения
+• Нельзя снять права с владельца токена бота
+
+*Требования:*
+• Бот должен быть настроен с токеном администратора Matrix
+• У вас должны быть права администратора на сервере Matrix
+• Ваш Telegram ID или имя пользователя должны быть в списке авторизованных
+    `;
+
+    bot.sendMessage(chatId, helpMessage, { parse_mode: "Markdown" });
+  })
+);
+
+bot.onText(
+  /\/menu/,
+  requireAuth((msg) => {
+    const chatId = msg.chat.id;
+    bot.sendMessage(chatId, "Выберите действие:", createMainKeyboard());
+  })
+);
+
+bot.onText(
+  /\/whoami/,
+  requireAuth((msg) => {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    const userInfo = `${user.first_name || ""} ${user.last_name || ""}`.trim();
+    const username = user.username
+      ? `@${user.username}`
+      : "Нет имени пользователя";
+
+    const message = `
+🔒 *Информация о вашей авторизации*
+
+*Имя:* ${userInfo}
+*Имя пользователя:* ${username}
+*ID пользователя:* \`${user.id}\`
+*Язык:* ${user.language_code || "Неизвестен"}
+
+✅ *Статус:* Авторизован
+🔐 *Уровень доступа:* Администратор Matrix
+
+*Примечание:* Ваш ID пользователя или имя пользователя находится в списке авторизованных для этого бота.
+    `;
+
+    bot.sendMessage(chatId, message, { parse_mode: "Markdown" });
+  })
+);
+
+// Команда быстрого поиска
+bot.onText(
+  /\/search (.+)/,
+  requireAuth(async (msg, match) => {
+    const chatId = msg.chat.id;
+    const searchTerm = match[1].trim();
+
+    const searchingMessage = await bot.sendMessage(
+      chatId,
+      `🔍 Поиск: "${searchTerm}"...`
+    );
+
+    try {
+      const searchResults = await matrixClient.searchUsers(searchTerm);
+      const users = searchResults.users || [];
+
+      if (users.length === 0) {
+        await bot.editMessageText(
+          `🔍 *Результаты поиска*\n\nПользователи, соответствующие запросу "${searchTerm}", не найдены.\n\nПопробуйте поискать с другими условиями.`,
+          {
+            chat_id: chatId,
+            message_id: searchingMessage.message_id,
+            parse_mode: "Markdown",
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: "🔍 Новый поиск", callback_data: "search_users" }],
+                [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+              ],
+            },
+          }
+        );
+        return;
+      }
+
+      // Сохраняем результаты поиска в состоянии пользователя
+      userStates.set(chatId, {
+        search_results: users,
+        search_term: searchTerm,
+        search_page: 0,
+      });
+
+      const resultMessage = `🔍 *Результаты поиска*\n\nНайдено ${searchResults.total} пользователей по запросу: "${searchTerm}"\n\nНажмите на пользователя для просмотра деталей или деактивации:`;
+
+      await bot.editMessageText(resultMessage, {
+        chat_id: chatId,
+        message_id: searchingMessage.message_id,
+        parse_mode: "Markdown",
+        ...createSearchResultKeyboard(users, searchTerm, 0),
+      });
+    } catch (error) {
+      await bot.editMessageText(
+        `❌ *Ошибка поиска*\n\nОшибка: ${error.message}`,
+        {
+          chat_id: chatId,
+          message_id: searchingMessage.message_id,
+          parse_mode: "Markdown",
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+            ],
+          },
+        }
+      );
+    }
+  })
+);
+
+// Команда сброса пароля
+bot.onText(
+  /\/resetpw (.+)/,
+  requireAuth(async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = match[1].trim();
+
+    if (!/^@[^:\s]+:\S+$/.test(userId)) {
+      bot.sendMessage(
+        chatId,
+        "❌ Укажите полный ID пользователя, например: /resetpw @user:example.com"
+      );
+      return;
+    }
+
+    await showResetPasswordMenu(chatId, null, userId);
+  })
+);
+
+// Список пользователей с переопределенными ограничениями частоты
+bot.onText(
+  /\/ratelimits/,
+  requireAuth(async (msg) => {
+    const chatId = msg.chat.id;
+
+    try {
+      await showRatelimitList(chatId, null);
+    } catch (error) {
+      bot.sendMessage(chatId, `❌ Ошибка: ${error.message}`);
+    }
+  })
+);
+
+// Обратный поиск: кто из активных пользователей подключался с данного IP
+bot.onText(
+  /\/ip (.+)/,
+  requireAuth(async (msg, match) => {
+    const chatId = msg.chat.id;
+    const ip = match[1].trim();
+
+    if (!/^[0-9a-fA-F:.]+$/.test(ip)) {
+      bot.sendMessage(chatId, "❌ Укажите IP-адрес, например: /ip 1.2.3.4");
+      return;
+    }
+
+    const progressMessage = await bot.sendMessage(
+      chatId,
+      `🔄 Поиск пользователей, подключавшихся с ${ip}...`
+    );
+
+    try {
+      const users = (await matrixClient.getAllUsers()).filter(
+        (u) => !u.deactivated
+      );
+      const matches = [];
+      let skipped = 0;
+      let lastProgressUpdate = Date.now();
+
+      for (let i = 0; i < users.length; i++) {
+        // Ошибка по одному пользователю не должна прерывать весь поиск
+        try {
+          const whois = await matrixClient.getWhois(users[i].name);
+          const group = groupWhoisConnections(whois).find((g) => g.ip === ip);
+          if (group) {
+            matches.push({ user: users[i], lastSeen: group.lastSeen });
+          }
+        } catch (error) {
+          skipped++;
+        }
+
+        // Telegram ограничивает частоту правок, поэтому обновляем прогресс не чаще раза в 2 секунды
+        if (Date.now() - lastProgressUpdate > 2000) {
+          lastProgressUpdate = Date.now();
+          await bot
+            .editMessageText(
+              `🔄 Поиск пользователей, подключавшихся с ${ip}... (${i + 1}/${
+                users.length
+              })`,
+              { chat_id: chatId, message_id: progressMessage.message_id }
+            )
+            .catch(() => {});
+        }
+      }
+
+      matches.sort((a, b) => b.lastSeen - a.lastSeen);
+
+      const text = joinLinesWithinLimit(
+        `🌐 *Пользователи с IP* \`${ip}\`\n\nПроверено активных пользователей: ${
+          users.length - skipped
+        }\n${
+          skipped > 0 ? `Пропущено из-за ошибок: ${skipped}\n` : ""
+        }Найдено: ${matches.length}\n\n`,
+        matches.map(
+          ({ user, lastSeen }, index) =>
+            `${index + 1}. \`${user.name}\` — ${formatTimestamp(lastSeen)}\n`
+        )
+      );
+
+      const buttons = matches.slice(0, 30).map(({ user }) => [
+        {
+          text: `${getUserStatusIcon(user)} ${user.displayname || user.name}`,
+          callback_data: `userinfo_${user.name}`,
+        },
+      ]);
+      buttons.push([
+        { text: "🔙 В главное меню", callback_data: "back_to_menu" },
+      ]);
+
+      await bot.editMessageText(text, {
+        chat_id: chatId,
+        message_id: progressMessage.message_id,
+        parse_mode: "Markdown",
+        reply_markup: { inline_keyboard: buttons },
+      });
+    } catch (error) {
+      await bot.editMessageText(`❌ Ошибка: ${error.message}`, {
+        chat_id: chatId,
+        message_id: progressMessage.message_id,
+      });
+    }
+  })
+);
+
+// Поиск пользователя по email или номеру телефона
+bot.onText(
+  /\/find (.+)/,
+  requireAuth(async (msg, match) => {
+    const chatId = msg.chat.id;
+    const threepid = parseThreepid(match[1]);
+
+    if (!threepid) {
+      bot.sendMessage(
+        chatId,
+        "❌ Укажите email или телефон, например: /find email@example.com"
+      );
+      return;
+    }
+
+    try {
+      const userId = await matrixClient.findUserByThreepid(
+        threepid.medium,
+        threepid.address
+      );
+
+      if (!userId) {
+        bot.sendMessage(
+          chatId,
+          `🔍 Пользователь с контактом "${threepid.address}" не найден.`,
+          createMainKeyboard()
+        );
+        return;
+      }
+
+      await showUserInfo(chatId, null, userId);
+    } catch (error) {
+      bot.sendMessage(chatId, `❌ Ошибка: ${error.message}`);
+    }
+  })
+);
+
+// Поиск пользователя по внешнему ID провайдера SSO
+bot.onText(
+  /\/sso(?:\s+(.*))?$/,
+  requireAuth(async (msg, match) => {
+    const chatId = msg.chat.id;
+    const args = (match[1] || "").trim().match(/^(\S+)\s+(.+)$/);
+
+    if (!args) {
+      bot.sendMessage(
+        chatId,
+        "❌ Укажите провайдера и внешний ID, например: /sso oidc 1234567890"
+      );
+      return;
+    }
+
+    const authProvider = args[1];
+    const externalId = args[2].trim();
+
+    try {
+      const userId = await matrixClient.findUserByExternalId(
+        authProvider,
+        externalId
+      );
+
+      if (!userId) {
+        bot.sendMessage(
+          chatId,
+          `🔍 Пользователь с внешним ID "${externalId}" у провайдера "${authProvider}" не найден.`,
+          createMainKeyboard()
+        );
+        return;
+      }
+
+      await showUserInfo(chatId, null, userId);
+    } catch (error) {
+      bot.sendMessage(chatId, `❌ Ошибка: ${error.message}`);
+    }
+  })
+);
+
+// Массовая деактивация по фильтру
+bot.onText(
+  /\/bulkdeactivate(?:\s+(.+))?$/,
+  requireAuth(async (msg, match) => {
+    const chatId = msg.chat.id;
+
+    if (!match[1]) {
+      userStates.delete(chatId);
+      await showBulkDeactivateMenu(chatId, null);
+      return;
+    }
+
+    // Шаблон можно передать сразу: /bulkdeactivate @spam*
+    const pattern = match[1].trim();
+    try {
+      const users = (await matrixClient.getAllUsers()).filter(
+        createUserIdMatcher(pattern)
+      );
+      await showBulkDeactivationPreview(
+        chatId,
+        null,
+        users,
+        `ID по шаблону ${pattern}`
+      );
+    } catch (error) {
+      bot.sendMessage(chatId, `❌ Ошибка: ${error.message}`);
+    }
+  })
+);
+
+// Блокировка комнаты по ID; без аргумента показывает заблокированные комнаты
+bot.onText(
+  /\/blockroom(?:\s+(\S+))?$/,
+  requireAuth(async (msg, match) => {
+    const chatId = msg.chat.id;
+    const roomId = match[1];
+
+    if (roomId && !roomId.startsWith("!")) {
+      bot.sendMessage(
+        chatId,
+        "❌ Укажите ID комнаты, например: /blockroom !abcdef:example.com"
+      );
+      return;
+    }
+
+    const progressMessage = await bot.sendMessage(
+      chatId,
+      roomId
+        ? `🔄 Блокировка комнаты ${roomId}...`
+        : "🔄 Поиск заблокированных комнат..."
+    );
+
+    try {
+      if (roomId) {
+        await applyRoomBlock(
+          chatId,
+          progressMessage.message_id,
+          msg.from,
+          roomId,
+          true
+        );
+      } else {
+        await showBlockedRooms(chatId, progressMessage.message_id);
+      }
+    } catch (error) {
+      await bot.editMessageText(`❌ Ошибка: ${error.message}`, {
+        chat_id: chatId,
+        message_id: progressMessage.message_id,
+      });
+    }
+  })
+);
+
+// Отчет о неактивных учетных записях
+bot.onText(
+  /\/inactive(?:\s+(.*))?$/,
+  requireAuth(async (msg, match) => {
+    const chatId = msg.chat.id;
+    const arg = (match[1] || "").trim();
+    const days = /^\d+$/.test(arg) ? parseInt(arg) : 0;
+
+    if (!days) {
+      bot.sendMessage(
+        chatId,
+        "❌ Укажите количество дней целым положительным числом, например: /inactive 180"
+      );
+      return;
+    }
+
+    const progressMessage = await bot.sendMessage(
+      chatId,
+      `🔄 Поиск пользователей, не заходивших более ${days} дн....`
+    );
+
+    try {
+      await showInactiveReport(chatId, progressMessage.message_id, days);
+    } catch (error) {
+      await bot.editMessageText(`❌ Ошибка: ${error.message}`, {
+        chat_id: chatId,
+        message_id: progressMessage.message_id,
+      });
+    }
+  })
+);
+
+// Обработчик текстовых сообщений для ввода поиска
+bot.on(
+  "message",
+  requireAuth(async (msg) => {
+    const pendingInput = userStates.get(msg.chat.id)?.awaiting_input;
+
+    // Фото (или изображение, отправленное файлом) ожидается мастером смены аватара
+    if (pendingInput && pendingInput.type === "profile_avatar") {
+      if (msg.photo) {
+        const photo = msg.photo[msg.photo.length - 1];
+        await handleAvatarUpload(
+          msg,
+          pendingInput.userId,
+          photo.file_id,
+          "image/jpeg",
+          "avatar.jpg"
+        );
+        return;
+      }
+      if (msg.document && /^image\//.test(msg.document.mime_type || "")) {
+        await handleAvatarUpload(
+          msg,
+          pendingInput.userId,
+          msg.document.file_id,
+          msg.document.mime_type,
+          msg.document.file_name || "avatar"
+        );
+        return;
+      }
+    }
+
+    // CSV-файл запускает массовый импорт пользователей; остальные документы
+    // не трогают текущее состояние
+    if (msg.document && isCsvDocument(msg.document)) {
+      await handleCsvImportDocument(msg);
+      return;
+    }
+
+    // Пропускаем, если это команда или нет текста
+    if (!msg.text || msg.text.startsWith("/")) {
+      return;
+    }
+
+    const chatId = msg.chat.id;
+    const userState = userStates.get(chatId);
+
+    // Проверяем, находится ли пользователь в режиме ввода поиска
+    if (userState && userState.waiting_for_search) {
+      const searchTerm = msg.text.trim();
+
+      if (!searchTerm) {
+        bot.sendMessage(
+          chatId,
+          "❌ Пожалуйста, введите корректный поисковый запрос."
+        );
+        return;
+      }
+
+      const searchingMessage = await bot.sendMessage(
+        chatId,
+        `🔍 Поиск: "${searchTerm}"...`
+      );
+
+      try {
+        const searchResults = await matrixClient.searchUsers(searchTerm);
+        const users = searchResults.users || [];
+
+        if (users.length === 0) {
+          await bot.editMessageText(
+            `🔍 *Результаты поиска*\n\nПользователи, соответствующие запросу "${searchTerm}", не найдены.\n\nПопробуйте поискать с другими условиями.`,
+            {
+              chat_id: chatId,
+              message_id: searchingMessage.message_id,
+              parse_mode: "Markdown",
+              reply_markup: {
+                inline_keyboard: [
+                  [{ text: "🔍 Новый поиск", callback_data: "search_users" }],
+                  [
+                    {
+                      text: "🔙 В главное меню",
+                      callback_data: "back_to_menu",
+                    },
+                  ],
+                ],
+              },
+            }
+          );
+
+          // Очищаем состояние поиска
+          userStates.delete(chatId);
+          return;
+        }
+
+        // Обновляем состояние пользователя с результатами поиска
+        userStates.set(chatId, {
+          search_results: users,
+          search_term: searchTerm,
+          search_page: 0,
+        });
+
+        const resultMessage = `🔍 *Результаты поиска*\n\nНайдено ${searchResults.total} пользователей по запросу: "${searchTerm}"\n\nНажмите на пользователя для просмотра деталей или деактивации:`;
+
+        await bot.editMessageText(resultMessage, {
+          chat_id: chatId,
+          message_id: searchingMessage.message_id,
+          parse_mode: "Markdown",
+          ...createSearchResultKeyboard(users, searchTerm, 0),
+        });
+      } catch (error) {
+        await bot.editMessageText(
+          `❌ *Ошибка поиска*\n\nОшибка: ${error.message}`,
+          {
+            chat_id: chatId,
+            message_id: searchingMessage.message_id,
+            parse_mode: "Markdown",
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+              ],
+            },
+          }
+        );
+
+        // Очищаем состояние поиска
+        userStates.delete(chatId);
+      }
+    } else if (userState && userState.awaiting_input) {
+      const pending = userState.awaiting_input;
+
+      if (pending.type === "reactivate_password") {
+        // Не оставляем пароль в истории чата
+        bot.deleteMessage(chatId, msg.message_id).catch(() => {});
+
+        if (msg.text.length < 8) {
+          bot.sendMessage(
+            chatId,
+            "❌ Пароль должен содержать не менее 8 символов."
+          );
+          return;
+        }
+
+        updateUserState(chatId, { awaiting_input: null });
+        await reactivateUser(chatId, null, msg.from, pending.userId, msg.text);
+      } else if (pending.type === "threepid_address") {
+        const threepid = parseThreepid(msg.text);
+
+        if (!threepid || threepid.medium !== pending.medium) {
+          bot.sendMessage(
+            chatId,
+            pending.medium === "email"
+              ? "❌ Введите корректный email."
+              : "❌ Введите номер телефона в международном формате, например 79991234567."
+          );
+          return;
+        }
+
+        const state = updateUserState(chatId, { awaiting_input: null });
+        try {
+          await saveThreepids(pending.userId, [
+            ...state.threepids.list,
+            threepid,
+          ]);
+          logAdminAction(
+            msg.from,
+            `Добавлен контакт ${threepid.address}`,
+            pending.userId
+          );
+          await showThreepids(chatId, null, pending.userId);
+        } catch (error) {
+          bot.sendMessage(chatId, `❌ Ошибка: ${error.message}`);
+        }
+      } else if (pending.type === "sso_provider") {
+        const authProvider = msg.text.trim();
+
+        if (!/^\S+$/.test(authProvider)) {
+          bot.sendMessage(
+            chatId,
+            "❌ ID провайдера не должен содержать пробелов."
+          );
+          return;
+        }
+
+        updateUserState(chatId, {
+          awaiting_input: {
+            type: "sso_external_id",
+            userId: pending.userId,
+            authProvider,
+          },
+        });
+        bot.sendMessage(
+          chatId,
+          `🔗 Введите внешний ID пользователя у провайдера ${escapeMarkdown(
+            authProvider
+          )} (например, значение claim \`sub\`):`,
+          { parse_mode: "Markdown" }
+        );
+      } else if (pending.type === "sso_external_id") {
+        const externalId = msg.text.trim();
+
+        if (!externalId) {
+          bot.sendMessage(
+            chatId,
+            "❌ Внешний ID не может быть пустым. Введите его еще раз:"
+          );
+          return;
+        }
+
+        const state = updateUserState(chatId, { awaiting_input: null });
+
+        try {
+          await saveExternalIds(pending.userId, [
+            ...state.external_ids.list,
+            { auth_provider: pending.authProvider, external_id: externalId },
+          ]);
+          logAdminAction(
+            msg.from,
+            `Привязан внешний ID ${pending.authProvider}: ${externalId}`,
+            pending.userId
+          );
+          await showExternalIds(chatId, null, pending.userId);
+        } catch (error) {
+          bot.sendMessage(chatId, `❌ Ошибка: ${error.message}`);
+        }
+      } else if (pending.type === "regtoken_create") {
+        const draft = userState.reg_token_draft;
+        const input = msg.text.trim();
+        let value;
+
+        if (draft.step === "value") {
+          if (!/^[A-Za-z0-9._~-]{1,64}$/.test(input)) {
+            bot.sendMessage(
+              chatId,
+              "❌ Токен может содержать только латинские буквы, цифры и символы ._~- (до 64 символов)."
+            );
+            return;
+          }
+          value = input;
+        } else {
+          const number = parseTokenNumber(input);
+          if (number === null) {
+            bot.sendMessage(chatId, "❌ Введите целое положительное число.");
+            return;
+          }
+          value = draft.step === "uses" ? number : daysToExpiryTime(number);
+        }
+
+        try {
+          await advanceRegistrationToken(chatId, null, msg.from, draft, value);
+        } catch (error) {
+          bot.sendMessage(chatId, `❌ Ошибка: ${error.message}`);
+        }
+      } else if (
+        pending.type === "regtoken_edit_uses" ||
+        pending.type === "regtoken_edit_expiry"
+      ) {
+        const number = parseTokenNumber(msg.text);
+
+        if (number === null) {
+          bot.sendMessage(chatId, "❌ Введите целое положительное число.");
+          return;
+        }
+
+        try {
+          await updateCurrentToken(
+            chatId,
+            null,
+            msg.from,
+            pending.type === "regtoken_edit_uses"
+              ? { uses_allowed: number }
+              : { expiry_time: daysToExpiryTime(number) }
+          );
+        } catch (error) {
+          bot.sendMessage(chatId, `❌ Ошибка: ${error.message}`);
+        }
+      } else if (pending.type === "profile_displayname") {
+        const displayname = msg.text.trim();
+
+        if (!displayname || displayname.length > 256) {
+          bot.sendMessage(
+            chatId,
+            "❌ Отображаемое имя должно содержать от 1 до 256 символов."
+          );
+          return;
+        }
+
+        updateUserState(chatId, { awaiting_input: null });
+        try {
+          await matrixClient.createOrUpdateUser(pending.userId, {
+            displayname,
+          });
+          logAdminAction(
+            msg.from,
+            `Отображаемое имя изменено на "${displayname}"`,
+            pending.userId
+          );
+          updateCachedSearchUser(chatId, pending.userId, { displayname });
+          await showUserInfo(chatId, null, pending.userId);
+        } catch (error) {
+          bot.sendMessage(chatId, `❌ Ошибка: ${error.message}`);
+        }
+      } else if (pending.type === "profile_avatar") {
+        bot.sendMessage(
+          chatId,
+          "🖼 Отправьте изображение (фото или файл) или нажмите «Отмена»."
+        );
+      } else if (pending.type === "redact_rooms") {
+        const rooms = msg.text.match(/![^\s,]+/g) || [];
+
+        if (rooms.length === 0) {
+          bot.sendMessage(
+            chatId,
+            "❌ Укажите ID комнат (начинаются с !), разделяя их пробелами или запятыми."
+          );
+          return;
+        }
+
+        await showRedactConfirmation(chatId, null, pending.userId, rooms);
+      } else if (pending.type === "room_search") {
+        const searchTerm = msg.text.trim();
+
+        try {
+          await openRoomBrowser(chatId, null, { searchTerm, page: 0 });
+        } catch (error) {
+          bot.sendMessage(chatId, `❌ Ошибка: ${error.message}`);
+        }
+      } else if (pending.type === "room_user_search") {
+        const roomUserPick = userState.room_user_pick;
+        const searchTerm = msg.text.trim();
+
+        if (!roomUserPick) {
+          updateUserState(chatId, { awaiting_input: null });
+          return;
+        }
+
+        try {
+          const searchResults = await matrixClient.searchUsers(searchTerm);
+          // Деактивированных пользователей нельзя добавить в комнату
+          const users = (searchResults.users || []).filter(
+            (u) => !u.deactivated
+          );
+
+          if (users.length === 0) {
+            bot.sendMessage(
+              chatId,
+              `❌ Активные пользователи по запросу "${searchTerm}" не найдены. Попробуйте другой запрос.`
+            );
+            return;
+          }
+
+          roomUserPick.users = users;
+          roomUserPick.page = 0;
+          updateUserState(chatId, { awaiting_input: null });
+
+          await bot.sendMessage(
+            chatId,
+            `${
+              ROOM_USER_ACTIONS[roomUserPick.action].title
+            }\n\nНайдено пользователей: ${
+              users.length
+            }. Выберите пользователя:`,
+            createUserSelectionKeyboard(users, 0, 10, "room_pick")
+          );
+        } catch (error) {
+          bot.sendMessage(chatId, `❌ Ошибка поиска: ${error.message}`);
+        }
+      } else if (pending.type === "room_delete_message") {
+        const roomDelete = userState.room_delete;
+
+        if (!roomDelete) {
+          updateUserState(chatId, { awaiting_input: null });
+          return;
+        }
+
+        roomDelete.message = msg.text.trim();
+        updateUserState(chatId, { awaiting_input: null });
+        await showRoomDeleteOptions(chatId, null, roomDelete);
+      } else if (pending.type === "bulk_pattern") {
+        const pattern = msg.text.trim();
+
+        try {
+          const users = (await matrixClient.getAllUsers()).filter(
+            createUserIdMatcher(pattern)
+          );
+          await showBulkDeactivationPreview(
+            chatId,
+            null,
+            users,
+            `ID по шаблону ${pattern}`
+          );
+        } catch (error) {
+          bot.sendMessage(chatId, `❌ Ошибка: ${error.message}`);
+        }
+      } else if (pending.type === "bulk_created") {
+        const range = parseDateRange(msg.text);
+
+        if (!range) {
+          bot.sendMessage(
+            chatId,
+            "❌ Введите период в формате ГГГГ-ММ-ДД ГГГГ-ММ-ДД, например: 2024-01-01 2024-01-31"
+          );
+          return;
+        }
+
+        try {
+          const users = (await matrixClient.getAllUsers()).filter((u) => {
+            const created = getCreationTimeMs(u);
+            return created >= range.from && created < range.to;
+          });
+          await showBulkDeactivationPreview(
+            chatId,
+            null,
+            users,
+            `созданы с ${formatTimestamp(range.from)} по ${formatTimestamp(
+              range.to
+            )}`
+          );
+        } catch (error) {
+          bot.sendMessage(chatId, `❌ Ошибка: ${error.message}`);
+        }
+      } else if (pending.type === "bulk_confirm") {
+        const bulk = userState.bulk_deactivation;
+
+        if (msg.text.trim() !== bulk.phrase) {
+          bot.sendMessage(
+            chatId,
+            `❌ Фраза не совпадает. Отправьте \`${bulk.phrase}\` или нажмите «Отмена».`,
+            { parse_mode: "Markdown" }
+          );
+          return;
+        }
+
+        // Сбрасываем состояние до запуска, чтобы повторная фраза не запустила деактивацию дважды
+        userStates.delete(chatId);
+        await runBulkDeactivation(chatId, msg.from, bulk.userIds);
+      } else if (
+        pending.type === "ratelimit_mps" ||
+        pending.type === "ratelimit_burst"
+      ) {
+        const value = msg.text.trim();
+
+        if (!/^\d+$/.test(value)) {
+          bot.sendMessage(chatId, "❌ Введите целое неотрицательное число.");
+          return;
+        }
+
+        if (pending.type === "ratelimit_mps") {
+          updateUserState(chatId, {
+            awaiting_input: {
+              type: "ratelimit_burst",
+              userId: pending.userId,
+              messagesPerSecond: parseInt(value),
+            },
+          });
+          bot.sendMessage(
+            chatId,
+            `⏱ Введите *burst_count* — сколько сообщений можно отправить подряд для \`${pending.userId}\`:`,
+            { parse_mode: "Markdown" }
+          );
+          return;
+        }
+
+        updateUserState(chatId, { awaiting_input: null });
+        try {
+          await applyRatelimit(
+            chatId,
+            null,
+            msg.from,
+            pending.userId,
+            pending.messagesPerSecond,
+            parseInt(value)
+          );
+        } catch (error) {
+          bot.sendMessage(chatId, `❌ Ошибка: ${error.message}`);
+        }
+      }
+    } else if (userState && userState.create_user) {
+      const draft = userState.create_user;
+      const input = msg.text.trim();
+
+      if (draft.step === "localpart") {
+        const localpart = input.replace(/^@/, "").toLowerCase();
+
+        if (!/^[a-z0-9._=\-\/+]+$/.test(localpart)) {
+          bot.sendMessage(
+            chatId,
+            "❌ Недопустимая локальная часть. Используйте строчные латинские буквы, цифры и символы ._=-/+"
+          );
+          return;
+        }
+
+        try {
+          const serverName = await matrixClient.getServerName();
+          draft.localpart = localpart;
+          draft.userId = `@${localpart}:${serverName}`;
+          draft.overwrite = false;
+          draft.step = (await matrixClient.userExists(draft.userId))
+            ? "overwrite_warning"
+            : "displayname";
+        } catch (error) {
+          bot.sendMessage(chatId, `❌ Ошибка: ${error.message}`);
+          return;
+        }
+
+        await showCreateUserStep(chatId, null, draft);
+      } else if (draft.step === "displayname") {
+        draft.displayname = input;
+        draft.step = "password";
+        await showCreateUserStep(chatId, null, draft);
+      } else if (draft.step === "password") {
+        // Не оставляем пароль в истории чата
+        bot.deleteMessage(chatId, msg.message_id).catch(() => {});
+
+        if (msg.text.length < 8) {
+          bot.sendMessage(
+            chatId,
+            "❌ Пароль должен содержать не менее 8 символов."
+          );
+          return;
+        }
+
+        draft.password = msg.text;
+        draft.passwordGenerated = false;
+        draft.step = "admin";
+        await showCreateUserStep(chatId, null, draft);
+      }
+    }
+  })
+);
+
+// Обработчик callback запросов с авторизацией
+bot.on(
+  "callback_query",
+  requireAuthCallback(async (callbackQuery) => {
+    const message = callbackQuery.message;
+    const data = callbackQuery.data;
+    const chatId = message.chat.id;
+    const messageId = message.message_id;
+    const user = callbackQuery.from;
+
+    // Отвечаем на callback запрос немедленно, чтобы предотвратить таймаут
+    try {
+      await bot.answerCallbackQuery(callbackQuery.id);
+    } catch (answerError) {
+      console.error("Ошибка ответа на callback запрос:", answerError.message);
+    }
+
+    try {
+      if (data === "show_my_info") {
+        const userInfo = `${user.first_name || ""} ${
+          user.last_name || ""
+        }`.trim();
+        const username = user.username
+          ? `@${user.username}`
+          : "Нет имени пользователя";
+
+        const infoMessage = `
+🔒 *Информация о вашей авторизации*
+
+*Имя:* ${userInfo}
+*Имя пользователя:* ${username}
+*ID пользователя:* \`${user.id}\`
+
+✅ *Статус:* Авторизован
+🔐 *Уровень доступа:* Администратор Matrix
+            `;
+
+        await bot.editMessageText(infoMessage, {
+          chat_id: chatId,
+          message_id: messageId,
+          parse_mode: "Markdown",
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+            ],
+          },
+        });
+      } else if (data === "search_users") {
+        await bot.editMessageText(
+          "🔍 *Поиск пользователей*\n\nПожалуйста, введите поисковый запрос (имя, отображаемое имя или ID пользователя):\n\nВведите ваш поисковый запрос и отправьте его как сообщение.",
+          {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: "Markdown",
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+              ],
+            },
+          }
+        );
+
+        // Устанавливаем состояние пользователя для ожидания ввода поиска
+        userStates.set(chatId, { waiting_for_search: true });
+      } else if (data.startsWith("search_page_")) {
+        const page = parseInt(data.split("_")[2]);
+        const state = userStates.get(chatId);
+
+        if (state && state.search_results) {
+          state.search_page = page;
+          userStates.set(chatId, state);
+
+          await bot.editMessageReplyMarkup(
+            createSearchResultKeyboard(
+              state.search_results,
+              state.search_term,
+              page
+            ).reply_markup,
+            { chat_id: chatId, message_id: messageId }
+          );
+        }
+      } else if (
+        data.startsWith("search_shadowban_") ||
+        data.startsWith("search_unshadowban_")
+      ) {
+        const banned = data.startsWith("search_shadowban_");
+        const userId = data.substring(
+          (banned ? "search_shadowban_" : "search_unshadowban_").length
+        );
+        await setShadowBan(user, chatId, userId, banned);
+
+        const state = userStates.get(chatId);
+        if (state && state.search_results) {
+          await bot.editMessageReplyMarkup(
+            createSearchResultKeyboard(
+              state.search_results,
+              state.search_term,
+              state.search_page || 0
+            ).reply_markup,
+            { chat_id: chatId, message_id: messageId }
+          );
+        }
+      } else if (
+        data.startsWith("shadowban_") ||
+        data.startsWith("unshadowban_")
+      ) {
+        const banned = data.startsWith("shadowban_");
+        const userId = data.substring(
+          (banned ? "shadowban_" : "unshadowban_").length
+        );
+        await setShadowBan(user, chatId, userId, banned);
+        await showUserInfo(chatId, messageId, userId);
+      } else if (
+        data.startsWith("lock_confirm_") ||
+        data.startsWith("suspend_confirm_")
+      ) {
+        const action = data.startsWith("lock_") ? "lock" : "suspend";
+        const userId = data.substring(`${action}_confirm_`.length);
+        await applyRestriction(chatId, messageId, user, action, userId);
+      } else if (data.startsWith("lock_") || data.startsWith("suspend_")) {
+        const action = data.startsWith("lock_") ? "lock" : "suspend";
+        const userId = data.substring(`${action}_`.length);
+        const { title, description } = RESTRICTION_ACTIONS[action];
+
+        await bot.editMessageText(
+          `*${title}*\n\nПользователь: \`${userId}\`\n\n${description}\n\nДействие можно отменить из карточки пользователя.`,
+          {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: "Markdown",
+            reply_markup: {
+              inline_keyboard: [
+                [
+                  {
+                    text: "✅ Подтвердить",
+                    callback_data: `${action}_confirm_${userId}`,
+                  },
+                  { text: "❌ Отмена", callback_data: `userinfo_${userId}` },
+                ],
+              ],
+            },
+          }
+        );
+      } else if (data.startsWith("unlock_") || data.startsWith("unsuspend_")) {
+        const action = data.startsWith("unlock_") ? "unlock" : "unsuspend";
+        const userId = data.substring(`${action}_`.length);
+        await applyRestriction(chatId, messageId, user, action, userId);
+      } else if (data.startsWith("userinfo_")) {
+        const userId = data.substring("userinfo_".length);
+        // Открытие карточки отменяет незавершенный ввод из ее подменю
+        updateUserState(chatId, { awaiting_input: null });
+        await showUserInfo(chatId, messageId, userId);
+      } else if (data.startsWith("reactivate_gen_")) {
+        const userId = data.substring("reactivate_gen_".length);
+        updateUserState(chatId, { awaiting_input: null });
+        await reactivateUser(
+          chatId,
+          messageId,
+          user,
+          userId,
+          generatePassword()
+        );
+      } else if (data.startsWith("reactivate_")) {
+        const userId = data.substring("reactivate_".length);
+        updateUserState(chatId, {
+          awaiting_input: { type: "reactivate_password", userId },
+        });
+
+        await bot.editMessageText(
+          `♻️ *Реактивация пользователя*\n\n\`${userId}\`\n\nВведите новый пароль (не менее 8 символов) или сгенерируйте его. Учетные данные будут отправлены вам в личные сообщения.`,
+          {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: "Markdown",
+            reply_markup: {
+              inline_keyboard: [
+                [
+                  {
+                    text: "🎲 Сгенерировать пароль",
+                    callback_data: `reactivate_gen_${userId}`,
+                  },
+                ],
+                [{ text: "❌ Отмена", callback_data: `userinfo_${userId}` }],
+              ],
+            },
+          }
+        );
+      } else if (data === "resetpw_logout" || data === "resetpw_keep") {
+        const state = userStates.get(chatId);
+        const userId = state && state.resetpw_target;
+
+        if (!userId) {
+          await bot.editMessageText(
+            "⌛ Запрос устарел. Откройте сброс пароля заново.",
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              ...createMainKeyboard(),
+            }
+          );
+          return;
+        }
 
-*Команды:*
-• /start - Показать главное меню
-• /help - Показать эту справку
-• /menu - Вернуться в главное меню
-• /whoami - Показать информацию о вас
-• /search <запрос> - Быстрый поиск пользователей
+        updateUserState(chatId, { resetpw_target: null });
+        await resetUserPassword(
+          chatId,
+          messageId,
+          user,
+          userId,
+          data === "resetpw_logout"
+        );
+      } else if (data.startsWith("resetpw_")) {
+        const userId = data.substring("resetpw_".length);
+        await showResetPasswordMenu(chatId, messageId, userId);
+      } else if (
+        data === "admin_change_confirm" ||
+        data === "admin_change_final"
+      ) {
+        const state = userStates.get(chatId);
+        const change = state && state.admin_change;
 
-*Функции:*
-• Просмотр всех пользователей на вашем Matrix сервере
-• Поиск пользователей по имени, отображаемому имени или ID пользователя
-• Деактивация учетных записей пользователей
-• Просмотр подробной информации о пользователях
-• Навигация по спискам пользователей с пагинацией
-• Безопасный контроль доступа
+        if (!change) {
+          await bot.editMessageText(
+            "⌛ Запрос устарел. Откройте карточку пользователя заново.",
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              ...createMainKeyboard(),
+            }
+          );
+          return;
+        }
 
-*Советы по поиску:*
-• Поиск по части имени: "иван"
-• Поиск по отображаемому имени: "Иван Иванов"
-• Поиск по точному ID пользователя: "@user:example.com"
-• Поиск нечувствителен к регистру
+        if (data === "admin_change_confirm") {
+          await showAdminChangeStep(
+            chatId,
+            messageId,
+            change.userId,
+            change.grant,
+            "final"
+          );
+        } else {
+          updateUserState(chatId, { admin_change: null });
+          await changeUserAdmin(
+            chatId,
+            messageId,
+            user,
+            change.userId,
+            change.grant
+          );
+        }
+      } else if (data.startsWith("admin_grant_")) {
+        const userId = data.substring("admin_grant_".length);
+        await showAdminChangeStep(chatId, messageId, userId, true, "confirm");
+      } else if (data.startsWith("admin_revoke_")) {
+        const userId = data.substring("admin_revoke_".length);
+        await showAdminChangeStep(chatId, messageId, userId, false, "confirm");
+      } else if (data === "ratelimit_list") {
+        await showRatelimitList(chatId, messageId);
+      } else if (
+        data === "ratelimit_set" ||
+        data === "ratelimit_unlimited" ||
+        data === "ratelimit_del"
+      ) {
+        const state = userStates.get(chatId);
+        const userId = state && state.ratelimit_target;
 
-*Безопасность:*
-• Только авторизованные пользователи могут получить доступ к этому боту
-• Все попытки доступа регистрируются
-• Авторизация пользователей проверяется для каждого действия
-• Администраторы защищены от деактивации
+        if (!userId) {
+          await bot.editMessageText(
+            "⌛ Запрос устарел. Откройте ограничения пользователя заново.",
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              ...createMainKeyboard(),
+            }
+          );
+          return;
+        }
 
-*Требования:*
-• Бот должен быть настроен с токеном администратора Matrix
-• У вас должны быть права администратора на сервере Matrix
-• Ваш Telegram ID или имя пользователя должны быть в списке авторизованных
-    `;
+        if (data === "ratelimit_unlimited") {
+          await applyRatelimit(chatId, messageId, user, userId, 0, 0);
+          return;
+        }
+        if (data === "ratelimit_del") {
+          await matrixClient.deleteRatelimit(userId);
+          logAdminAction(user, "Переопределение ограничения удалено", userId);
+          await showRatelimit(chatId, messageId, userId);
+          return;
+        }
 
-    bot.sendMessage(chatId, helpMessage, { parse_mode: "Markdown" });
-  })
-);
+        updateUserState(chatId, {
+          awaiting_input: { type: "ratelimit_mps", userId },
+        });
 
-bot.onText(
-  /\/menu/,
-  requireAuth((msg) => {
-    const chatId = msg.chat.id;
-    bot.sendMessage(chatId, "Выберите действие:", createMainKeyboard());
-  })
-);
+        await bot.editMessageText(
+          `⏱ *Новое ограничение для* \`${userId}\`\n\nВведите *messages_per_second* — сколько сообщений в секунду разрешено отправлять:`,
+          {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: "Markdown",
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: "❌ Отмена", callback_data: `ratelimit_${userId}` }],
+              ],
+            },
+          }
+        );
+      } else if (data.startsWith("ratelimit_")) {
+        const userId = data.substring("ratelimit_".length);
+        updateUserState(chatId, { awaiting_input: null });
+        await showRatelimit(chatId, messageId, userId);
+      } else if (data.startsWith("devices_") && !data.startsWith("devices_@")) {
+        const state = userStates.get(chatId);
+        const devicesState = state && state.devices;
 
-bot.onText(
-  /\/whoami/,
-  requireAuth((msg) => {
-    const chatId = msg.chat.id;
-    const user = msg.from;
-    const userInfo = `${user.first_name || ""} ${user.last_name || ""}`.trim();
-    const username = user.username
-      ? `@${user.username}`
-      : "Нет имени пользователя";
+        if (!devicesState) {
+          await bot.editMessageText(
+            "⌛ Список устройств устарел. Откройте его заново из карточки пользователя.",
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              ...createMainKeyboard(),
+            }
+          );
+          return;
+        }
 
-    const message = `
-🔒 *Информация о вашей авторизации*
+        if (data.startsWith("devices_toggle_")) {
+          const index = parseInt(data.substring("devices_toggle_".length));
+          devicesState.selected = devicesState.selected.includes(index)
+            ? devicesState.selected.filter((i) => i !== index)
+            : [...devicesState.selected, index];
+          await showUserDevices(chatId, messageId, devicesState);
+        } else if (data.startsWith("devices_page_")) {
+          devicesState.page = parseInt(data.substring("devices_page_".length));
+          await showUserDevices(chatId, messageId, devicesState);
+        } else if (data.startsWith("devices_confirm_")) {
+          const target = data.substring("devices_confirm_".length);
+          const { deviceIds } = await getDevicesToDelete(devicesState, target);
 
-*Имя:* ${userInfo}
-*Имя пользователя:* ${username}
-*ID пользователя:* \`${user.id}\`
-*Язык:* ${user.language_code || "Неизвестен"}
+          if (deviceIds.length === 0) {
+            await showUserDevices(chatId, messageId, devicesState);
+            return;
+          }
 
-✅ *Статус:* Авторизован
-🔐 *Уровень доступа:* Администратор Matrix
+          await bot.editMessageText(
+            `🔄 Удаление устройств (${deviceIds.length})...`,
+            { chat_id: chatId, message_id: messageId }
+          );
 
-*Примечание:* Ваш ID пользователя или имя пользователя находится в списке авторизованных для этого бота.
-    `;
+          if (deviceIds.length === 1) {
+            await matrixClient.deleteDevice(devicesState.userId, deviceIds[0]);
+          } else if (deviceIds.length > 1) {
+            await matrixClient.deleteDevices(devicesState.userId, deviceIds);
+          }
+          logAdminAction(
+            user,
+            `Удалены устройства: ${deviceIds.join(", ")}`,
+            devicesState.userId
+          );
 
-    bot.sendMessage(chatId, message, { parse_mode: "Markdown" });
-  })
-);
+          const reloaded = await loadUserDevices(chatId, devicesState.userId);
+          await showUserDevices(chatId, messageId, reloaded);
+        } else if (data.startsWith("devices_del_")) {
+          const target = data.substring("devices_del_".length);
+          const { deviceIds, botDeviceId } = await getDevicesToDelete(
+            devicesState,
+            target
+          );
 
-// Команда быстрого поиска
-bot.onText(
-  /\/search (.+)/,
-  requireAuth(async (msg, match) => {
-    const chatId = msg.chat.id;
-    const searchTerm = match[1].trim();
+          if (deviceIds.length === 0 && botDeviceId) {
+            await bot.editMessageText(
+              `⛔ *Действие запрещено*\n\nУстройство \`${botDeviceId}\` принадлежит токену администратора, которым пользуется бот. Его удаление лишит бот доступа к серверу.`,
+              {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: "Markdown",
+                reply_markup: {
+                  inline_keyboard: [
+                    [{ text: "🔙 Назад", callback_data: "devices_page_0" }],
+                  ],
+                },
+              }
+            );
+            return;
+          }
+          if (deviceIds.length === 0) {
+            await showUserDevices(chatId, messageId, devicesState);
+            return;
+          }
 
-    const searchingMessage = await bot.sendMessage(
-      chatId,
-      `🔍 Поиск: "${searchTerm}"...`
-    );
+          let warning =
+            target === "all"
+              ? "🚪 Пользователь будет разлогинен на *всех* устройствах."
+              : `Будут удалены устройства:\n${deviceIds
+                  .map((id) => `• \`${id}\``)
+                  .join("\n")}\n\nСеансы на них будут завершены.`;
+          if (botDeviceId) {
+            warning += `\n\n🤖 Устройство \`${botDeviceId}\` используется ботом и будет сохранено.`;
+          }
 
-    try {
-      const searchResults = await matrixClient.searchUsers(searchTerm);
-      const users = searchResults.users || [];
+          await bot.editMessageText(
+            `⚠️ *Подтверждение удаления устройств*\n\nПользователь: \`${devicesState.userId}\`\n\n${warning}`,
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              parse_mode: "Markdown",
+              reply_markup: {
+                inline_keyboard: [
+                  [
+                    {
+                      text: "✅ Да, удалить",
+                      callback_data: `devices_confirm_${target}`,
+                    },
+                    { text: "❌ Отмена", callback_data: "devices_page_0" },
+                  ],
+                ],
+              },
+            }
+          );
+        }
+      } else if (data.startsWith("devices_")) {
+        const userId = data.substring("devices_".length);
+        const devicesState = await loadUserDevices(chatId, userId);
+        await showUserDevices(chatId, messageId, devicesState);
+      } else if (data.startsWith("whois_")) {
+        const userId = data.substring("whois_".length);
+        await showWhois(chatId, messageId, userId);
+      } else if (data === "rooms") {
+        await bot.editMessageText("🔄 Загрузка списка комнат...", {
+          chat_id: chatId,
+          message_id: messageId,
+        });
+        await openRoomBrowser(chatId, messageId, {
+          orderBy: ROOM_SORT_OPTIONS[0].value,
+          searchTerm: null,
+          page: 0,
+        });
+      } else if (data.startsWith("rooms_page_")) {
+        await openRoomBrowser(chatId, messageId, {
+          page: parseInt(data.substring("rooms_page_".length)),
+        });
+      } else if (data.startsWith("rooms_sort_")) {
+        await openRoomBrowser(chatId, messageId, {
+          orderBy: data.substring("rooms_sort_".length),
+          page: 0,
+        });
+      } else if (data === "rooms_reset") {
+        await openRoomBrowser(chatId, messageId, { searchTerm: null, page: 0 });
+      } else if (data === "rooms_search") {
+        updateUserState(chatId, { awaiting_input: { type: "room_search" } });
 
-      if (users.length === 0) {
         await bot.editMessageText(
-          `🔍 *Результаты поиска*\n\nПользователи, соответствующие запросу "${searchTerm}", не найдены.\n\nПопробуйте поискать с другими условиями.`,
+          "🔍 *Поиск комнат*\n\nВведите часть названия, адреса или ID комнаты:",
           {
             chat_id: chatId,
-            message_id: searchingMessage.message_id,
+            message_id: messageId,
             parse_mode: "Markdown",
             reply_markup: {
               inline_keyboard: [
-                [{ text: "🔍 Новый поиск", callback_data: "search_users" }],
-                [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
+                [{ text: "❌ Отмена", callback_data: "rooms_page_0" }],
               ],
             },
           }
         );
-        return;
-      }
+      } else if (data.startsWith("user_rooms_page_")) {
+        const state = userStates.get(chatId);
 
-      // Сохраняем результаты поиска в состоянии пользователя
-      userStates.set(chatId, {
-        search_results: users,
-        search_term: searchTerm,
-        search_page: 0,
-      });
+        if (state && state.user_rooms) {
+          state.user_rooms.page = parseInt(
+            data.substring("user_rooms_page_".length)
+          );
+          await showUserRooms(chatId, messageId, state.user_rooms);
+        }
+      } else if (data.startsWith("user_rooms_")) {
+        const userId = data.substring("user_rooms_".length);
 
-      const resultMessage = `🔍 *Результаты поиска*\n\nНайдено ${searchResults.total} пользователей по запросу: "${searchTerm}"\n\nНажмите на пользователя для просмотра деталей или деактивации:`;
+        await bot.editMessageText("🔄 Загрузка комнат пользователя...", {
+          chat_id: chatId,
+          message_id: messageId,
+        });
 
-      await bot.editMessageText(resultMessage, {
-        chat_id: chatId,
-        message_id: searchingMessage.message_id,
-        parse_mode: "Markdown",
-        ...createSearchResultKeyboard(users, searchTerm, 0),
-      });
-    } catch (error) {
-      await bot.editMessageText(
-        `❌ *Ошибка поиска*\n\nОшибка: ${error.message}`,
-        {
+        const joined = await matrixClient.getUserJoinedRooms(userId);
+        const userRoomsState = updateUserState(chatId, {
+          room_browser: null,
+          user_rooms: {
+            userId,
+            roomIds: joined.joined_rooms || [],
+            details: {},
+            page: 0,
+          },
+        }).user_rooms;
+        await showUserRooms(chatId, messageId, userRoomsState);
+      } else if (
+        data.startsWith("room_pick_") &&
+        !data.startsWith("room_pick_@")
+      ) {
+        const state = userStates.get(chatId);
+        const roomUserPick = state && state.room_user_pick;
+
+        if (!roomUserPick) {
+          await bot.editMessageText(
+            "⌛ Запрос устарел. Откройте действие заново из карточки комнаты.",
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              ...createMainKeyboard(),
+            }
+          );
+          return;
+        }
+
+        if (data.startsWith("room_pick_page_")) {
+          roomUserPick.page = parseInt(
+            data.substring("room_pick_page_".length)
+          );
+          await bot.editMessageReplyMarkup(
+            createUserSelectionKeyboard(
+              roomUserPick.users,
+              roomUserPick.page,
+              10,
+              "room_pick"
+            ).reply_markup,
+            { chat_id: chatId, message_id: messageId }
+          );
+        } else if (data === "room_pick_self") {
+          roomUserPick.userId = await matrixClient.getOwnUserId();
+          updateUserState(chatId, { awaiting_input: null });
+          await showRoomUserConfirmation(chatId, messageId, roomUserPick);
+        } else if (data === "room_pick_confirm" && roomUserPick.userId) {
+          updateUserState(chatId, { room_user_pick: null });
+          await applyRoomUserAction(chatId, messageId, user, roomUserPick);
+        }
+      } else if (data.startsWith("room_pick_")) {
+        const state = userStates.get(chatId);
+        const roomUserPick = state && state.room_user_pick;
+
+        if (roomUserPick) {
+          roomUserPick.userId = data.substring("room_pick_".length);
+          await showRoomUserConfirmation(chatId, messageId, roomUserPick);
+        }
+      } else if (
+        data.startsWith("room_admin_") ||
+        data.startsWith("room_join_")
+      ) {
+        const action = data.startsWith("room_admin_") ? "admin" : "join";
+        const roomId = data.substring(`room_${action}_`.length);
+        const roomUserPick = updateUserState(chatId, {
+          awaiting_input: { type: "room_user_search" },
+          room_user_pick: { roomId, action, users: [], page: 0, userId: null },
+        }).room_user_pick;
+        await showRoomUserPrompt(chatId, messageId, roomUserPick);
+      } else if (data === "rooms_blocked") {
+        await bot.editMessageText("🔄 Поиск заблокированных комнат...", {
           chat_id: chatId,
-          message_id: searchingMessage.message_id,
-          parse_mode: "Markdown",
-          reply_markup: {
-            inline_keyboard: [
-              [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
-            ],
+          message_id: messageId,
+        });
+        await showBlockedRooms(chatId, messageId);
+      } else if (data.startsWith("room_block_")) {
+        const roomId = data.substring("room_block_".length);
+        await applyRoomBlock(chatId, messageId, user, roomId, true);
+      } else if (data.startsWith("room_unblock_")) {
+        const roomId = data.substring("room_unblock_".length);
+        await applyRoomBlock(chatId, messageId, user, roomId, false);
+      } else if (
+        data.startsWith("room_delete_") &&
+        !data.startsWith("room_delete_!")
+      ) {
+        const state = userStates.get(chatId);
+        const roomDelete = state && state.room_delete;
+
+        if (!roomDelete) {
+          await bot.editMessageText(
+            "⌛ Запрос устарел. Откройте удаление заново из карточки комнаты.",
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              ...createMainKeyboard(),
+            }
+          );
+          return;
+        }
+
+        if (data === "room_delete_block") {
+          roomDelete.block = !roomDelete.block;
+          await showRoomDeleteOptions(chatId, messageId, roomDelete);
+        } else if (data === "room_delete_purge") {
+          roomDelete.purge = !roomDelete.purge;
+          await showRoomDeleteOptions(chatId, messageId, roomDelete);
+        } else if (data === "room_delete_replacement") {
+          roomDelete.replacement = !roomDelete.replacement;
+          await showRoomDeleteOptions(chatId, messageId, roomDelete);
+        } else if (data === "room_delete_message") {
+          updateUserState(chatId, {
+            awaiting_input: { type: "room_delete_message" },
+          });
+
+          await bot.editMessageText(
+            "✏️ Введите сообщение, которое увидят участники в комнате для выселенных:",
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              reply_markup: {
+                inline_keyboard: [
+                  [
+                    {
+                      text: "↩️ Стандартное сообщение",
+                      callback_data: "room_delete_message_reset",
+                    },
+                  ],
+                ],
+              },
+            }
+          );
+        } else if (data === "room_delete_message_reset") {
+          roomDelete.message = null;
+          updateUserState(chatId, { awaiting_input: null });
+          await showRoomDeleteOptions(chatId, messageId, roomDelete);
+        } else if (data === "room_delete_confirm") {
+          await bot.editMessageText(
+            `⚠️ *Подтверждение удаления комнаты*\n\n\`${
+              roomDelete.roomId
+            }\`\n\n• все локальные участники будут удалены из комнаты\n• заблокировать: ${
+              roomDelete.block ? "да" : "нет"
+            }\n• очистить историю из базы данных: ${
+              roomDelete.purge ? "да" : "нет"
+            }\n• комната для выселенных: ${
+              roomDelete.replacement ? "да" : "нет"
+            }\n\n⚠️ Это действие нельзя отменить!`,
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              parse_mode: "Markdown",
+              reply_markup: {
+                inline_keyboard: [
+                  [
+                    {
+                      text: "🗑 Да, удалить комнату",
+                      callback_data: "room_delete_execute",
+                    },
+                  ],
+                  [
+                    {
+                      text: "❌ Отмена",
+                      callback_data: `room_${roomDelete.roomId}`,
+                    },
+                  ],
+                ],
+              },
+            }
+          );
+        } else if (data === "room_delete_execute") {
+          updateUserState(chatId, { room_delete: null });
+          await performRoomDeletion(chatId, messageId, user, roomDelete);
+        }
+      } else if (data.startsWith("room_delete_")) {
+        const roomId = data.substring("room_delete_".length);
+        const roomDelete = updateUserState(chatId, {
+          awaiting_input: null,
+          room_delete: {
+            roomId,
+            block: false,
+            purge: true,
+            replacement: false,
+            message: null,
           },
+        }).room_delete;
+        await showRoomDeleteOptions(chatId, messageId, roomDelete);
+      } else if (data.startsWith("room_members_page_")) {
+        const state = userStates.get(chatId);
+
+        if (state && state.room_members) {
+          state.room_members.page = parseInt(
+            data.substring("room_members_page_".length)
+          );
+          await showRoomMembers(chatId, messageId, state.room_members);
         }
-      );
-    }
-  })
-);
+      } else if (data.startsWith("room_members_")) {
+        const roomId = data.substring("room_members_".length);
 
-// Обработчик текстовых сообщений для ввода поиска
-bot.on(
-  "message",
-  requireAuth(async (msg) => {
-    // Пропускаем, если это команда или нет текста
-    if (!msg.text || msg.text.startsWith("/")) {
-      return;
-    }
+        await bot.editMessageText("🔄 Загрузка участников комнаты...", {
+          chat_id: chatId,
+          message_id: messageId,
+        });
 
-    const chatId = msg.chat.id;
-    const userState = userStates.get(chatId);
+        const roomMembersState = updateUserState(chatId, {
+          room_members: await loadRoomMembers(roomId),
+        }).room_members;
+        await showRoomMembers(chatId, messageId, roomMembersState);
+      } else if (data.startsWith("room_")) {
+        const roomId = data.substring("room_".length);
+        updateUserState(chatId, { awaiting_input: null });
+        await showRoomInfo(chatId, messageId, roomId);
+      } else if (
+        data.startsWith("user_media_") &&
+        !data.startsWith("user_media_@")
+      ) {
+        const state = userStates.get(chatId);
+        const mediaState = state && state.user_media;
 
-    // Проверяем, находится ли пользователь в режиме ввода поиска
-    if (userState && userState.waiting_for_search) {
-      const searchTerm = msg.text.trim();
+        if (!mediaState) {
+          await bot.editMessageText(
+            "⌛ Список медиафайлов устарел. Откройте его заново из карточки пользователя.",
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              ...createMainKeyboard(),
+            }
+          );
+          return;
+        }
 
-      if (!searchTerm) {
-        bot.sendMessage(
-          chatId,
-          "❌ Пожалуйста, введите корректный поисковый запрос."
-        );
-        return;
-      }
+        if (data.startsWith("user_media_sort_")) {
+          mediaState.sort = data.substring("user_media_sort_".length);
+          mediaState.page = 0;
+          sortUserMedia(mediaState.items, mediaState.sort);
+          await showUserMedia(chatId, messageId, mediaState);
+        } else if (data.startsWith("user_media_page_")) {
+          mediaState.page = parseInt(data.substring("user_media_page_".length));
+          await showUserMedia(chatId, messageId, mediaState);
+        } else if (data === "user_media_purge") {
+          const totalBytes = mediaState.items.reduce(
+            (sum, m) => sum + (m.media_length || 0),
+            0
+          );
 
-      const searchingMessage = await bot.sendMessage(
-        chatId,
-        `🔍 Поиск: "${searchTerm}"...`
-      );
+          await bot.editMessageText(
+            `⚠️ *Удаление медиафайлов*\n\nПользователь: \`${
+              mediaState.userId
+            }\`\n\nБудет удалено файлов: *${
+              mediaState.items.length
+            }*\nОсвободится: *${formatBytes(
+              totalBytes
+            )}* (${totalBytes} байт)\n\n⚠️ Файлы исчезнут из всех комнат. Это действие нельзя отменить!`,
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              parse_mode: "Markdown",
+              reply_markup: {
+                inline_keyboard: [
+                  [
+                    {
+                      text: "✅ Да, удалить",
+                      callback_data: "user_media_purge_confirm",
+                    },
+                    { text: "❌ Отмена", callback_data: "user_media_page_0" },
+                  ],
+                ],
+              },
+            }
+          );
+        } else if (data === "user_media_purge_confirm") {
+          await bot.editMessageText(
+            `🔄 Удаление медиафайлов ${mediaState.userId}...`,
+            { chat_id: chatId, message_id: messageId }
+          );
 
-      try {
-        const searchResults = await matrixClient.searchUsers(searchTerm);
-        const users = searchResults.users || [];
+          const deleted = await purgeUserMedia(mediaState.userId);
+          logAdminAction(
+            user,
+            `Удалены медиафайлы (${deleted})`,
+            mediaState.userId
+          );
 
-        if (users.length === 0) {
           await bot.editMessageText(
-            `🔍 *Результаты поиска*\n\nПользователи, соответствующие запросу "${searchTerm}", не найдены.\n\nПопробуйте поискать с другими условиями.`,
+            `✅ *Медиафайлы удалены*\n\nПользователь: \`${mediaState.userId}\`\nУдалено файлов: ${deleted}`,
             {
               chat_id: chatId,
-              message_id: searchingMessage.message_id,
+              message_id: messageId,
               parse_mode: "Markdown",
               reply_markup: {
                 inline_keyboard: [
-                  [{ text: "🔍 Новый поиск", callback_data: "search_users" }],
                   [
                     {
-                      text: "🔙 В главное меню",
-                      callback_data: "back_to_menu",
+                      text: "🔙 Назад к пользователю",
+                      callback_data: `userinfo_${mediaState.userId}`,
                     },
                   ],
                 ],
               },
             }
           );
-
-          // Очищаем состояние поиска
-          userStates.delete(chatId);
-          return;
         }
+      } else if (data.startsWith("user_media_")) {
+        const userId = data.substring("user_media_".length);
 
-        // Обновляем состояние пользователя с результатами поиска
-        userStates.set(chatId, {
-          search_results: users,
-          search_term: searchTerm,
-          search_page: 0,
-        });
-
-        const resultMessage = `🔍 *Результаты поиска*\n\nНайдено ${searchResults.total} пользователей по запросу: "${searchTerm}"\n\nНажмите на пользователя для просмотра деталей или деактивации:`;
-
-        await bot.editMessageText(resultMessage, {
+        await bot.editMessageText("🔄 Загрузка медиафайлов...", {
           chat_id: chatId,
-          message_id: searchingMessage.message_id,
-          parse_mode: "Markdown",
-          ...createSearchResultKeyboard(users, searchTerm, 0),
+          message_id: messageId,
         });
-      } catch (error) {
-        await bot.editMessageText(
-          `❌ *Ошибка поиска*\n\nОшибка: ${error.message}`,
-          {
-            chat_id: chatId,
-            message_id: searchingMessage.message_id,
-            parse_mode: "Markdown",
-            reply_markup: {
-              inline_keyboard: [
-                [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
-              ],
-            },
-          }
-        );
-
-        // Очищаем состояние поиска
-        userStates.delete(chatId);
-      }
-    }
-  })
-);
 
-// Обработчик callback запросов с авторизацией
-bot.on(
-  "callback_query",
-  requireAuthCallback(async (callbackQuery) => {
-    const message = callbackQuery.message;
-    const data = callbackQuery.data;
-    const chatId = message.chat.id;
-    const messageId = message.message_id;
-    const user = callbackQuery.from;
+        const mediaState = await loadUserMedia(chatId, userId);
+        await showUserMedia(chatId, messageId, mediaState);
+      } else if (
+        data.startsWith("threepids_") &&
+        !data.startsWith("threepids_@")
+      ) {
+        const state = userStates.get(chatId);
+        const threepidsState = state && state.threepids;
 
-    // Отвечаем на callback запрос немедленно, чтобы предотвратить таймаут
-    try {
-      await bot.answerCallbackQuery(callbackQuery.id);
-    } catch (answerError) {
-      console.error("Ошибка ответа на callback запрос:", answerError.message);
-    }
+        if (!threepidsState) {
+          await bot.editMessageText(
+            "⌛ Список контактов устарел. Откройте его заново из карточки пользователя.",
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              ...createMainKeyboard(),
+            }
+          );
+          return;
+        }
 
-    try {
-      if (data === "show_my_info") {
-        const userInfo = `${user.first_name || ""} ${
-          user.last_name || ""
-        }`.trim();
-        const username = user.username
-          ? `@${user.username}`
-          : "Нет имени пользователя";
+        const { userId, list } = threepidsState;
 
-        const infoMessage = `
-🔒 *Информация о вашей авторизации*
+        if (data.startsWith("threepids_add_")) {
+          const medium = data.substring("threepids_add_".length);
+          updateUserState(chatId, {
+            awaiting_input: { type: "threepid_address", medium, userId },
+          });
 
-*Имя:* ${userInfo}
-*Имя пользователя:* ${username}
-*ID пользователя:* \`${user.id}\`
+          await bot.editMessageText(
+            medium === "email"
+              ? `📧 Введите email для \`${userId}\`:`
+              : `📞 Введите номер телефона для \`${userId}\` в международном формате (например, 79991234567):`,
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              parse_mode: "Markdown",
+              reply_markup: {
+                inline_keyboard: [
+                  [{ text: "❌ Отмена", callback_data: `threepids_${userId}` }],
+                ],
+              },
+            }
+          );
+        } else if (data.startsWith("threepids_del_confirm_")) {
+          const index = parseInt(
+            data.substring("threepids_del_confirm_".length)
+          );
+          const removed = list[index];
 
-✅ *Статус:* Авторизован
-🔐 *Уровень доступа:* Администратор Matrix
-            `;
+          if (removed) {
+            await saveThreepids(
+              userId,
+              list.filter((_, i) => i !== index)
+            );
+            logAdminAction(user, `Удален контакт ${removed.address}`, userId);
+          }
+          await showThreepids(chatId, messageId, userId);
+        } else if (data.startsWith("threepids_del_")) {
+          const index = parseInt(data.substring("threepids_del_".length));
+          const threepid = list[index];
 
-        await bot.editMessageText(infoMessage, {
-          chat_id: chatId,
-          message_id: messageId,
-          parse_mode: "Markdown",
-          reply_markup: {
-            inline_keyboard: [
-              [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
-            ],
-          },
-        });
-      } else if (data === "search_users") {
-        await bot.editMessageText(
-          "🔍 *Поиск пользователей*\n\nПожалуйста, введите поисковый запрос (имя, отображаемое имя или ID пользователя):\n\nВведите ваш поисковый запрос и отправьте его как сообщение.",
-          {
-            chat_id: chatId,
-            message_id: messageId,
-            parse_mode: "Markdown",
-            reply_markup: {
-              inline_keyboard: [
-                [{ text: "🔙 В главное меню", callback_data: "back_to_menu" }],
-              ],
-            },
+          if (!threepid) {
+            await showThreepids(chatId, messageId, userId);
+            return;
           }
-        );
 
-        // Устанавливаем состояние пользователя для ожидания ввода поиска
-        userStates.set(chatId, { waiting_for_search: true });
-      } else if (data.startsWith("search_page_")) {
-        const page = parseInt(data.split("_")[2]);
+          await bot.editMessageText(
+            `⚠️ *Удаление контакта*\n\nОтвязать ${escapeMarkdown(
+              threepid.address
+            )} от \`${userId}\`?\n\nПользователь не сможет входить и восстанавливать пароль через этот контакт.`,
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              parse_mode: "Markdown",
+              reply_markup: {
+                inline_keyboard: [
+                  [
+                    {
+                      text: "✅ Да, отвязать",
+                      callback_data: `threepids_del_confirm_${index}`,
+                    },
+                    { text: "❌ Отмена", callback_data: `threepids_${userId}` },
+                  ],
+                ],
+              },
+            }
+          );
+        }
+      } else if (data.startsWith("threepids_")) {
+        const userId = data.substring("threepids_".length);
+        await showThreepids(chatId, messageId, userId);
+      } else if (data.startsWith("sso_") && !data.startsWith("sso_@")) {
         const state = userStates.get(chatId);
+        const externalIdsState = state && state.external_ids;
 
-        if (state && state.search_results) {
-          state.search_page = page;
-          userStates.set(chatId, state);
-
-          await bot.editMessageReplyMarkup(
-            createSearchResultKeyboard(
-              state.search_results,
-              state.search_term,
-              page
-            ).reply_markup,
-            { chat_id: chatId, message_id: messageId }
+        if (!externalIdsState) {
+          await bot.editMessageText(
+            "⌛ Список SSO-привязок устарел. Откройте его заново из карточки пользователя.",
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              ...createMainKeyboard(),
+            }
           );
+          return;
         }
-      } else if (data.startsWith("userinfo_")) {
-        const userId = data.substring("userinfo_".length);
 
-        try {
-          const userInfo = await matrixClient.getUserInfo(userId);
-
-          const infoMessage = `
-👤 *Информация о пользователе*
+        const { userId, list } = externalIdsState;
 
-*ID пользователя:* \`${userInfo.name}\`
-*Отображаемое имя:* ${userInfo.displayname || "Не установлено"}
-*Статус:* ${userInfo.deactivated ? "❌ Деактивирован" : "✅ Активен"}
-*Администратор:* ${userInfo.admin ? "👑 Да" : "❌ Нет"}
-*Тип пользователя:* ${userInfo.user_type || "обычный"}
-*Время создания:* ${new Date(userInfo.creation_ts * 1000).toLocaleString(
-            "ru-RU"
-          )}
-*Последний вход:* ${
-            userInfo.last_seen_ts
-              ? new Date(userInfo.last_seen_ts).toLocaleString("ru-RU")
-              : "Неизвестно"
-          }
-                `;
+        if (data === "sso_add") {
+          updateUserState(chatId, {
+            awaiting_input: { type: "sso_provider", userId },
+          });
 
-          const buttons = [];
-          if (userInfo.deactivated) {
-            buttons.push([
-              {
-                text: "❌ Пользователь уже деактивирован",
-                callback_data: "noop",
-              },
-            ]);
-          } else if (userInfo.admin) {
-            buttons.push([
-              {
-                text: "👑 Администратор защищен от деактивации",
-                callback_data: "noop",
-              },
-            ]);
-          } else {
-            buttons.push([
-              {
-                text: "🗑️ Деактивировать пользователя",
-                callback_data: `deactivate_${userId}`,
+          await bot.editMessageText(
+            `🔗 *Привязка внешнего ID* к \`${userId}\`\n\nВведите ID провайдера SSO (например, \`oidc\` или \`oidc-keycloak\`):`,
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              parse_mode: "Markdown",
+              reply_markup: {
+                inline_keyboard: [
+                  [{ text: "❌ Отмена", callback_data: `sso_${userId}` }],
+                ],
               },
-            ]);
+            }
+          );
+        } else if (data.startsWith("sso_del_confirm_")) {
+          const index = parseInt(data.substring("sso_del_confirm_".length));
+          const removed = list[index];
+
+          if (removed) {
+            await saveExternalIds(
+              userId,
+              list.filter((_, i) => i !== index)
+            );
+            logAdminAction(
+              user,
+              `Отвязан внешний ID ${removed.auth_provider}: ${removed.external_id}`,
+              userId
+            );
           }
+          await showExternalIds(chatId, messageId, userId);
+        } else if (data.startsWith("sso_del_")) {
+          const index = parseInt(data.substring("sso_del_".length));
+          const externalId = list[index];
 
-          buttons.push([
-            { text: "🔙 Назад к поиску", callback_data: "back_to_search" },
-          ]);
-          buttons.push([
-            { text: "🏠 Главное меню", callback_data: "back_to_menu" },
-          ]);
+          if (!externalId) {
+            await showExternalIds(chatId, messageId, userId);
+            return;
+          }
 
-          await bot.editMessageText(infoMessage, {
-            chat_id: chatId,
-            message_id: messageId,
-            parse_mode: "Markdown",
-            reply_markup: {
-              inline_keyboard: buttons,
-            },
-          });
-        } catch (error) {
           await bot.editMessageText(
-            `❌ *Ошибка получения информации о пользователе*\n\nОшибка: ${error.message}`,
+            `⚠️ *Отвязка внешнего ID*\n\nОтвязать ${escapeMarkdown(
+              externalId.auth_provider
+            )}: \`${
+              externalId.external_id
+            }\` от \`${userId}\`?\n\nПользователь не сможет войти через этого провайдера, пока привязка не будет восстановлена.`,
             {
               chat_id: chatId,
               message_id: messageId,
@@ -802,15 +6451,142 @@ bot.on(
                 inline_keyboard: [
                   [
                     {
-                      text: "🔙 В главное меню",
-                      callback_data: "back_to_menu",
+                      text: "✅ Да, отвязать",
+                      callback_data: `sso_del_confirm_${index}`,
                     },
+                    { text: "❌ Отмена", callback_data: `sso_${userId}` },
                   ],
                 ],
               },
             }
           );
         }
+      } else if (data.startsWith("sso_")) {
+        const userId = data.substring("sso_".length);
+        await showExternalIds(chatId, messageId, userId);
+      } else if (data.startsWith("profile_name_")) {
+        const userId = data.substring("profile_name_".length);
+        updateUserState(chatId, {
+          awaiting_input: { type: "profile_displayname", userId },
+        });
+
+        await bot.editMessageText(
+          `✏️ Введите новое отображаемое имя для \`${userId}\`:`,
+          {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: "Markdown",
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: "❌ Отмена", callback_data: `profile_${userId}` }],
+              ],
+            },
+          }
+        );
+      } else if (data.startsWith("profile_avatar_")) {
+        const userId = data.substring("profile_avatar_".length);
+        updateUserState(chatId, {
+          awaiting_input: { type: "profile_avatar", userId },
+        });
+
+        await bot.editMessageText(
+          `🖼 Отправьте изображение для аватара \`${userId}\`.\n\nОно будет загружено в медиахранилище Synapse и установлено как аватар пользователя.`,
+          {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: "Markdown",
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: "❌ Отмена", callback_data: `profile_${userId}` }],
+              ],
+            },
+          }
+        );
+      } else if (data.startsWith("profile_noavatar_")) {
+        const userId = data.substring("profile_noavatar_".length);
+        await matrixClient.createOrUpdateUser(userId, { avatar_url: "" });
+        logAdminAction(user, "Аватар удален", userId);
+        await showUserInfo(chatId, messageId, userId);
+      } else if (data.startsWith("profile_")) {
+        const userId = data.substring("profile_".length);
+        await showProfileMenu(chatId, messageId, userId);
+      } else if (data === "redact_confirm") {
+        const state = userStates.get(chatId);
+        const redact = state && state.redact;
+
+        if (!redact) {
+          await bot.editMessageText(
+            "⌛ Запрос устарел. Откройте удаление сообщений заново из карточки пользователя.",
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              ...createMainKeyboard(),
+            }
+          );
+          return;
+        }
+
+        updateUserState(chatId, { redact: null });
+        await bot.editMessageText(
+          `🔄 Запуск удаления сообщений ${redact.userId}...`,
+          { chat_id: chatId, message_id: messageId }
+        );
+        const redactId = await startRedaction(
+          user,
+          redact.userId,
+          redact.rooms
+        );
+        await trackRedaction(chatId, messageId, redact.userId, redactId);
+      } else if (data.startsWith("redact_all_")) {
+        const userId = data.substring("redact_all_".length);
+        await showRedactConfirmation(chatId, messageId, userId, []);
+      } else if (data.startsWith("redact_rooms_")) {
+        const userId = data.substring("redact_rooms_".length);
+        updateUserState(chatId, {
+          awaiting_input: { type: "redact_rooms", userId },
+        });
+
+        await bot.editMessageText(
+          `🧹 Введите ID комнат, в которых нужно удалить сообщения \`${userId}\`, через пробел или запятую.\n\nID комнат можно посмотреть в разделе «🏠 Комнаты» карточки пользователя.`,
+          {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: "Markdown",
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: "❌ Отмена", callback_data: `userinfo_${userId}` }],
+              ],
+            },
+          }
+        );
+      } else if (data.startsWith("redact_")) {
+        const userId = data.substring("redact_".length);
+
+        await bot.editMessageText(
+          `🧹 *Удаление сообщений пользователя*\n\n\`${userId}\`\n\nГде удалить сообщения?`,
+          {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: "Markdown",
+            reply_markup: {
+              inline_keyboard: [
+                [
+                  {
+                    text: "🌍 Во всех комнатах",
+                    callback_data: `redact_all_${userId}`,
+                  },
+                ],
+                [
+                  {
+                    text: "✍️ В выбранных комнатах",
+                    callback_data: `redact_rooms_${userId}`,
+                  },
+                ],
+                [{ text: "❌ Отмена", callback_data: `userinfo_${userId}` }],
+              ],
+            },
+          }
+        );
       } else if (data === "back_to_search") {
         const state = userStates.get(chatId);
         if (state && state.search_results) {
@@ -860,7 +6636,7 @@ bot.on(
 
         let usersList = `👥 *Пользователи на сервере Matrix* (всего ${users.length})\n\n`;
         users.forEach((user, index) => {
-          const status = user.deactivated ? "❌ Деактивирован" : "✅ Активен";
+          const status = getUserStatusLabel(user);
           const userType = user.admin
             ? " (Администратор)"
             : user.user_type
@@ -953,6 +6729,9 @@ bot.on(
         }
       } else if (data.startsWith("deactivate_")) {
         const userId = data.substring("deactivate_".length);
+        // Длинный ID вместе с префиксом не влезет в 64 байта callback_data,
+        // поэтому цель деактивации хранится в состоянии
+        updateUserState(chatId, { deactivate_target: userId });
 
         await bot.editMessageText(
           `⚠️ *Подтверждение деактивации*\n\nВы уверены, что хотите деактивировать пользователя:\n\`${userId}\`\n\n⚠️ Это действие нельзя отменить!`,
@@ -964,43 +6743,173 @@ bot.on(
               inline_keyboard: [
                 [
                   {
-                    text: "✅ Да, деактивировать",
-                    callback_data: `confirm_deactivate_${userId}`,
+                    text: "✅ Деактивировать",
+                    callback_data: "confirm_deactivate",
+                  },
+                ],
+                [
+                  {
+                    text: "🧹 Деактивировать + удалить сообщения",
+                    callback_data: "confirm_deactivate_redact",
                   },
-                  { text: "❌ Отмена", callback_data: "deactivate_menu" },
                 ],
+                [
+                  {
+                    text: "🧨 Деактивировать + стереть данные (GDPR)",
+                    callback_data: "confirm_erase",
+                  },
+                ],
+                [{ text: "❌ Отмена", callback_data: "deactivate_menu" }],
               ],
             },
           }
         );
-      } else if (data.startsWith("confirm_deactivate_")) {
-        const userId = data.substring("confirm_deactivate_".length);
+      } else if (
+        data === "confirm_deactivate" ||
+        data === "confirm_deactivate_redact" ||
+        data === "confirm_erase" ||
+        data === "confirm_erase_final"
+      ) {
+        const state = userStates.get(chatId);
+        const userId = state && state.deactivate_target;
 
-        await bot.editMessageText(`🔄 Деактивация пользователя ${userId}...`, {
-          chat_id: chatId,
-          message_id: messageId,
-        });
+        if (!userId) {
+          await bot.editMessageText(
+            "⌛ Запрос устарел. Выберите пользователя для деактивации заново.",
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              ...createMainKeyboard(),
+            }
+          );
+          return;
+        }
 
-        try {
-          await matrixClient.deactivateUser(userId);
-
-          // Логируем деактивацию
-          const userInfo = `${user.first_name || ""} ${
-            user.last_name || ""
-          }`.trim();
-          const username = user.username
-            ? `@${user.username}`
-            : "нет имени пользователя";
-          console.log(
-            `🔴 Пользователь деактивирован авторизованным администратором:`
-          );
-          console.log(`   Администратор: ${userInfo} (${username})`);
-          console.log(`   ID администратора: ${user.id}`);
-          console.log(`   Деактивирован: ${userId}`);
-          console.log(`   Время: ${new Date().toISOString()}`);
+        if (data === "confirm_erase") {
+          await bot.editMessageText(
+            `🧨 *Деактивация со стиранием данных (GDPR)*\n\nПользователь: \`${userId}\`\n\nКроме деактивации пользователь будет помечен как стертый:\n• отображаемое имя и аватар будут удалены;\n• его сообщения будут скрыты от тех, кто вступит в комнаты позже.\n\n⛔ Это необратимо: реактивация не восстановит стертые данные. Выполняйте только по запросу на удаление данных.`,
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              parse_mode: "Markdown",
+              reply_markup: {
+                inline_keyboard: [
+                  [
+                    {
+                      text: "🧨 Да, деактивировать и стереть данные",
+                      callback_data: "confirm_erase_final",
+                    },
+                  ],
+                  [{ text: "❌ Отмена", callback_data: "deactivate_menu" }],
+                ],
+              },
+            }
+          );
+          return;
+        }
+
+        updateUserState(chatId, { deactivate_target: null });
+        await performDeactivation(
+          chatId,
+          messageId,
+          user,
+          userId,
+          data === "confirm_erase_final",
+          data === "confirm_deactivate_redact"
+        );
+      } else if (data === "create_user") {
+        const draft = { step: "localpart" };
+        userStates.set(chatId, { create_user: draft });
+        await showCreateUserStep(chatId, messageId, draft);
+      } else if (data.startsWith("create_user_")) {
+        const state = userStates.get(chatId);
+        const draft = state && state.create_user;
+
+        if (!draft) {
+          await bot.editMessageText(
+            "⌛ Сессия создания пользователя истекла. Начните заново.",
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              ...createMainKeyboard(),
+            }
+          );
+          return;
+        }
+
+        if (data === "create_user_overwrite") {
+          draft.overwrite = true;
+          draft.step = "displayname";
+        } else if (data === "create_user_skip_name") {
+          draft.displayname = null;
+          draft.step = "password";
+        } else if (data === "create_user_gen_password") {
+          draft.password = generatePassword();
+          draft.passwordGenerated = true;
+          draft.step = "admin";
+        } else if (data.startsWith("create_user_admin_")) {
+          draft.admin = data === "create_user_admin_yes";
+          draft.step = "user_type";
+        } else if (data.startsWith("create_user_type_")) {
+          draft.userType = data.substring("create_user_type_".length);
+          draft.step = "confirm";
+        } else if (data === "create_user_confirm" && draft.step === "confirm") {
+          await bot.editMessageText(
+            `🔄 Создание пользователя ${draft.userId}...`,
+            { chat_id: chatId, message_id: messageId }
+          );
+
+          // Повторная проверка: учетная запись могла появиться, пока шел мастер
+          if (
+            !draft.overwrite &&
+            (await matrixClient.userExists(draft.userId))
+          ) {
+            draft.step = "overwrite_warning";
+            await showCreateUserStep(chatId, messageId, draft);
+            return;
+          }
+
+          const userData = {
+            password: draft.password,
+            admin: draft.admin,
+            user_type: draft.userType === "regular" ? null : draft.userType,
+          };
+          if (draft.displayname) {
+            userData.displayname = draft.displayname;
+          }
+
+          await matrixClient.createOrUpdateUser(draft.userId, userData);
+          logAdminAction(
+            user,
+            draft.overwrite
+              ? "Пользователь перезаписан"
+              : "Пользователь создан",
+            draft.userId
+          );
+          userStates.delete(chatId);
+
+          let passwordLine = "*Пароль:* задан вручную";
+          if (draft.passwordGenerated) {
+            passwordLine =
+              "*Пароль:* сгенерирован и отправлен вам в личные сообщения";
+            try {
+              await sendCredentials(
+                user,
+                draft.userId,
+                draft.password,
+                "Учетные данные нового пользователя"
+              );
+            } catch (error) {
+              console.error("Ошибка отправки учетных данных:", error.message);
+              passwordLine =
+                "⚠️ Не удалось отправить пароль в личные сообщения. Начните личный диалог с ботом и сбросьте пароль.";
+            }
+          }
 
           await bot.editMessageText(
-            `✅ *Пользователь успешно деактивирован*\n\nПользователь \`${userId}\` был деактивирован.`,
+            `✅ *Пользователь ${
+              draft.overwrite ? "обновлен" : "создан"
+            }*\n\n*Логин:* \`${draft.userId}\`\n${passwordLine}`,
             {
               chat_id: chatId,
               message_id: messageId,
@@ -1009,8 +6918,14 @@ bot.on(
                 inline_keyboard: [
                   [
                     {
-                      text: "❌ Деактивировать другого",
-                      callback_data: "deactivate_menu",
+                      text: "👤 Открыть карточку",
+                      callback_data: `userinfo_${draft.userId}`,
+                    },
+                  ],
+                  [
+                    {
+                      text: "➕ Создать еще одного",
+                      callback_data: "create_user",
                     },
                   ],
                   [
@@ -1023,31 +6938,239 @@ bot.on(
               },
             }
           );
-        } catch (error) {
+          return;
+        }
+
+        await showCreateUserStep(chatId, messageId, draft);
+      } else if (data === "regtokens") {
+        await showRegistrationTokens(chatId, messageId);
+      } else if (data === "regtoken_create") {
+        await showRegistrationTokenStep(chatId, messageId, { step: "value" });
+      } else if (data.startsWith("regtoken_create_")) {
+        const state = userStates.get(chatId);
+        const draft = state && state.reg_token_draft;
+        const buttonSteps = {
+          regtoken_create_random: "value",
+          regtoken_create_unlimited: "uses",
+          regtoken_create_noexpiry: "expiry",
+        };
+
+        if (!draft || buttonSteps[data] !== draft.step) {
+          await showRegistrationTokens(chatId, messageId);
+          return;
+        }
+
+        // Кнопки «случайный», «без ограничений» и «бессрочно» передают null
+        await advanceRegistrationToken(chatId, messageId, user, draft, null);
+      } else if (data.startsWith("regtoken_open_")) {
+        const state = userStates.get(chatId);
+        const index = parseInt(data.substring("regtoken_open_".length));
+        const tokenValue = state && state.reg_tokens && state.reg_tokens[index];
+
+        if (!tokenValue) {
+          await showRegistrationTokens(chatId, messageId);
+          return;
+        }
+
+        await showRegistrationToken(chatId, messageId, tokenValue);
+      } else if (data.startsWith("regtoken_")) {
+        const state = userStates.get(chatId);
+        const token = state && state.current_reg_token;
+
+        if (!token) {
+          await showRegistrationTokens(chatId, messageId);
+          return;
+        }
+
+        if (data === "regtoken_share") {
+          const serverName = await matrixClient.getServerName();
+          const usesLeft =
+            token.uses_allowed === null
+              ? ""
+              : `\nОсталось регистраций: ${
+                  token.uses_allowed - token.completed - token.pending
+                }`;
+
+          // Отдельное сообщение без кнопок, чтобы его можно было переслать
+          await bot.sendMessage(
+            chatId,
+            `👋 *Приглашение на сервер Matrix* ${escapeMarkdown(
+              serverName
+            )}\n\nПри регистрации в любом клиенте Matrix (например, Element) укажите сервер \`${serverName}\` и токен регистрации:\n\n\`${
+              token.token
+            }\`\n\nСрок действия: ${formatTokenExpiry(token)}${usesLeft}`,
+            { parse_mode: "Markdown" }
+          );
+        } else if (
+          data === "regtoken_edit_uses" ||
+          data === "regtoken_edit_expiry"
+        ) {
+          const editingUses = data === "regtoken_edit_uses";
+          updateUserState(chatId, { awaiting_input: { type: data } });
+
           await bot.editMessageText(
-            `❌ *Ошибка деактивации*\n\nОшибка: ${error.message}`,
+            editingUses
+              ? `✏️ Введите новый лимит использований для \`${token.token}\`:`
+              : `✏️ Введите, сколько дней (начиная с сегодняшнего) будет действовать \`${token.token}\`:`,
             {
               chat_id: chatId,
               message_id: messageId,
               parse_mode: "Markdown",
               reply_markup: {
                 inline_keyboard: [
+                  [
+                    editingUses
+                      ? {
+                          text: "♾ Без ограничений",
+                          callback_data: "regtoken_set_unlimited",
+                        }
+                      : {
+                          text: "♾ Бессрочно",
+                          callback_data: "regtoken_set_noexpiry",
+                        },
+                  ],
                   [
                     {
-                      text: "🔄 Попробовать снова",
-                      callback_data: "deactivate_menu",
+                      text: "❌ Отмена",
+                      callback_data: "regtoken_back",
                     },
                   ],
+                ],
+              },
+            }
+          );
+        } else if (data === "regtoken_set_unlimited") {
+          await updateCurrentToken(chatId, messageId, user, {
+            uses_allowed: null,
+          });
+        } else if (data === "regtoken_set_noexpiry") {
+          await updateCurrentToken(chatId, messageId, user, {
+            expiry_time: null,
+          });
+        } else if (data === "regtoken_delete") {
+          await bot.editMessageText(
+            `⚠️ *Удаление токена*\n\nУдалить токен \`${token.token}\`?\n\nНезавершенные регистрации с этим токеном не смогут завершиться.`,
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              parse_mode: "Markdown",
+              reply_markup: {
+                inline_keyboard: [
                   [
                     {
-                      text: "🔙 В главное меню",
-                      callback_data: "back_to_menu",
+                      text: "✅ Да, удалить",
+                      callback_data: "regtoken_delete_confirm",
                     },
+                    { text: "❌ Отмена", callback_data: "regtoken_back" },
                   ],
                 ],
               },
             }
           );
+        } else if (data === "regtoken_delete_confirm") {
+          await matrixClient.deleteRegistrationToken(token.token);
+          logAdminAction(user, "Удален токен регистрации", token.token);
+          updateUserState(chatId, { current_reg_token: null });
+          await showRegistrationTokens(chatId, messageId);
+        } else if (data === "regtoken_back") {
+          await showRegistrationToken(chatId, messageId, token.token);
+        }
+      } else if (data === "csv_import_confirm") {
+        const state = userStates.get(chatId);
+        const csvImport = state && state.csv_import;
+
+        if (!csvImport) {
+          await bot.editMessageText(
+            "⌛ Данные импорта устарели. Отправьте CSV-файл заново.",
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              ...createMainKeyboard(),
+            }
+          );
+          return;
+        }
+
+        // Сбрасываем состояние сразу, чтобы повторное нажатие не запустило импорт дважды
+        userStates.delete(chatId);
+        await runCsvImport(chatId, messageId, user, csvImport);
+      } else if (data === "bulk_filter_pattern") {
+        userStates.set(chatId, { awaiting_input: { type: "bulk_pattern" } });
+
+        await bot.editMessageText(
+          "🔤 *Фильтр по шаблону ID*\n\nВведите шаблон: `*` — любые символы, `?` — один символ.\n\nПримеры:\n• `@spam*` — локальная часть начинается с spam\n• `*bot?` — оканчивается на bot и еще один символ\n• `*:evil.example` — все ID с указанным сервером",
+          {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: "Markdown",
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: "❌ Отмена", callback_data: "back_to_menu" }],
+              ],
+            },
+          }
+        );
+      } else if (data === "bulk_filter_created") {
+        userStates.set(chatId, { awaiting_input: { type: "bulk_created" } });
+
+        await bot.editMessageText(
+          "📅 *Фильтр по времени создания*\n\nВведите период в формате `ГГГГ-ММ-ДД ГГГГ-ММ-ДД` (обе даты включительно), например:\n`2024-01-01 2024-01-31`\n\nЕсли указать одну дату, период продлится до текущего момента.",
+          {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: "Markdown",
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: "❌ Отмена", callback_data: "back_to_menu" }],
+              ],
+            },
+          }
+        );
+      } else if (data.startsWith("inactive_")) {
+        const state = userStates.get(chatId);
+        const report = state && state.inactive_report;
+
+        if (!report) {
+          await bot.editMessageText(
+            "⌛ Отчет устарел. Запустите /inactive заново.",
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              ...createMainKeyboard(),
+            }
+          );
+          return;
+        }
+
+        if (data === "inactive_export") {
+          const csv = toCsv([
+            ["user_id", "displayname", "last_seen", "created"],
+            ...report.users.map((u) => [
+              u.name,
+              u.displayname,
+              u.last_seen_ts ? new Date(u.last_seen_ts).toISOString() : "",
+              new Date(getCreationTimeMs(u)).toISOString(),
+            ]),
+          ]);
+
+          await bot.sendDocument(
+            chatId,
+            Buffer.from(csv, "utf8"),
+            {
+              caption: `💤 Неактивные более ${report.days} дн.: ${report.users.length}`,
+            },
+            {
+              filename: `inactive-${report.days}d-${Date.now()}.csv`,
+              contentType: "text/csv",
+            }
+          );
+        } else if (data === "inactive_deactivate") {
+          await showBulkDeactivationPreview(
+            chatId,
+            messageId,
+            report.users,
+            `неактивны более ${report.days} дн.`
+          );
         }
       } else if (data === "back_to_menu") {
         userStates.delete(chatId);